@@ -7,32 +7,27 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 
-const { initializeSocket } = require('./src/websocket/socketHandler');
-const { connectDatabase } = require('./src/config/database');
-const { connectRedis } = require('./src/config/redis');
+const { initializeSocket, closeSocket } = require('./src/websocket/socketHandler');
+const { closeStreams } = require('./src/websocket/sseHandler');
+const { connectDatabase, closeDatabase } = require('./src/config/database');
+const { connectRedis, closeRedis } = require('./src/config/redis');
 const { startNewsScheduler } = require('./src/services/newsScheduler');
+const newsCache = require('./src/services/newsCache');
+const extractionQueue = require('./src/services/extractionQueue');
 const { logger } = require('./src/utils/logger');
 const newsRoutes = require('./src/routes/newsRoutes');
 const adminRoutes = require('./src/routes/adminRoutes');
-// app.js or server.js
-const express = require('express');
-const app = express();
-
-const newsRoutes = require('./src_routes_newsRoutes');
-const adminRoutes = require('./src_routes_adminRoutes');
-
-// ... other middleware and configurations
-
-app.use('/api/news', newsRoutes); // Mount news routes under /api/news
-app.use('/api/admin', adminRoutes); // Mount admin routes under /api/admin
-
-// ... rest of your application setup and server start
+const healthRoutes = require('./src/routes/healthRoutes');
+const { authenticateApiClient } = require('./src/middleware/apiClientAuth');
 
 class NewsServer {
   constructor() {
     this.app = express();
     this.server = http.createServer(this.app);
     this.port = process.env.PORT || 3000;
+    this.scheduler = null;
+    this.shuttingDown = false;
+    this.shutdownTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
     
     this.initializeMiddleware();
     this.initializeRoutes();
@@ -58,13 +53,17 @@ class NewsServer {
       credentials: true
     }));
 
-    // Rate limiting
+    // API clients are authenticated and rate limited per key (see apiClientAuth)
+    this.app.use('/api/news', authenticateApiClient);
+
+    // Rate limiting for requests made without an API key
     const limiter = rateLimit({
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 100, // limit each IP to 100 requests per windowMs
       message: 'Too many requests from this IP',
       standardHeaders: true,
       legacyHeaders: false,
+      skip: req => Boolean(req.apiClient)
     });
     this.app.use('/api/', limiter);
 
@@ -80,14 +79,8 @@ class NewsServer {
   }
 
   initializeRoutes() {
-    // Health check
-    this.app.get('/health', (req, res) => {
-      res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-      });
-    });
+    // Health checks: /health, /health/live and /health/ready
+    this.app.use('/health', healthRoutes);
 
     // API routes
     this.app.use('/api/news', newsRoutes);
@@ -109,21 +102,32 @@ class NewsServer {
     });
 
     // Graceful shutdown
-    process.on('SIGTERM', () => this.gracefulShutdown());
-    process.on('SIGINT', () => this.gracefulShutdown());
+    process.on('SIGTERM', () => this.gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => this.gracefulShutdown('SIGINT'));
   }
 
   async start() {
     try {
-      // Initialize external connections
+      // Initialize external connections. Neither failing stops startup: both
+      // keep reconnecting in the background and /health/ready reports them
       await connectDatabase();
       await connectRedis();
+
+      // Prime the listing caches so the first requests are served from Redis
+      if (process.env.CACHE_WARM_ON_STARTUP === 'true') {
+        newsCache.warm()
+          .then(() => logger.info('🔥 News cache warmed'))
+          .catch(error => logger.error('Cache warm error:', error));
+      }
       
       // Initialize WebSocket
       initializeSocket(this.server);
       
       // Start news fetching scheduler
-      startNewsScheduler();
+      this.scheduler = startNewsScheduler();
+
+      // Download saved articles in the background to fill in their full text
+      extractionQueue.start();
       
       this.server.listen(this.port, () => {
         logger.info(`🚀 News server running on port ${this.port}`);
@@ -136,12 +140,45 @@ class NewsServer {
     }
   }
 
-  async gracefulShutdown() {
-    logger.info('Shutting down gracefully...');
-    this.server.close(() => {
+  // Stop taking requests, let the current fetch finish, disconnect WebSocket
+  // and SSE clients and close the database connections, in that order. Exits
+  // with an error if it takes longer than SHUTDOWN_TIMEOUT_MS.
+  async gracefulShutdown(signal) {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    logger.info(`Shutting down gracefully (${signal})...`);
+
+    const forceExit = setTimeout(() => {
+      logger.error(`Shutdown did not finish within ${this.shutdownTimeoutMs}ms, forcing exit`);
+      process.exit(1);
+    }, this.shutdownTimeoutMs);
+    forceExit.unref();
+
+    try {
+      // Requests already in progress are allowed to complete
+      const serverClosed = new Promise(resolve => this.server.close(resolve));
+      this.server.closeIdleConnections();
+
+      if (this.scheduler) {
+        await this.scheduler.stop();
+      }
+      await extractionQueue.stop();
+
+      closeStreams();
+      await closeSocket();
+      this.server.closeIdleConnections();
+      await serverClosed;
       logger.info('Server closed');
+
+      await closeDatabase();
+      await closeRedis();
+
+      clearTimeout(forceExit);
       process.exit(0);
-    });
+    } catch (error) {
+      logger.error('Error during shutdown:', error);
+      process.exit(1);
+    }
   }
 }
 const newsServer = new NewsServer();
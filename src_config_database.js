@@ -1,29 +1,100 @@
 const mongoose = require('mongoose');
 const { logger } = require('../utils/logger');
 
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+// Fail queries fast while disconnected instead of queueing them, so read
+// endpoints can fall back to the cache
+mongoose.set('bufferCommands', false);
+
+class DatabaseUnavailableError extends Error {
+  constructor(message = 'Database unavailable') {
+    super(message);
+    this.name = 'DatabaseUnavailableError';
+  }
+}
+
+const connectionStates = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Pending reconnection attempt, cancelled on shutdown
+let retryTimer = null;
+let closing = false;
+
+const openConnection = () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/news-app';
+
+  return mongoose.connect(mongoUri, {
+    serverSelectionTimeoutMS: 5000
+  });
+};
+
+// Only the first connection needs retrying by hand; the driver reconnects
+// on its own once it has connected
+const retryConnection = (attempt) => {
+  if (closing) return;
+  const delay = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  retryTimer = setTimeout(async () => {
+    retryTimer = null;
+    try {
+      await openConnection();
+    } catch (error) {
+      logger.error(`MongoDB connection attempt ${attempt + 1} failed: ${error.message}`);
+      retryConnection(attempt + 1);
+    }
+  }, delay).unref();
+};
+
 const connectDatabase = async () => {
-  try {
-    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/news-app';
-    
-    await mongoose.connect(mongoUri, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    
+  mongoose.connection.on('connected', () => {
     logger.info('📦 MongoDB connected successfully');
-    
-    mongoose.connection.on('error', (err) => {
-      logger.error('MongoDB connection error:', err);
-    });
-    
-    mongoose.connection.on('disconnected', () => {
-      logger.warn('MongoDB disconnected');
-    });
-    
+  });
+
+  mongoose.connection.on('error', (err) => {
+    logger.error('MongoDB connection error:', err);
+  });
+
+  mongoose.connection.on('disconnected', () => {
+    logger.warn('MongoDB disconnected, reads fall back to the cache until it reconnects');
+  });
+
+  mongoose.connection.on('reconnected', () => {
+    logger.info('📦 MongoDB reconnected');
+  });
+
+  try {
+    await openConnection();
   } catch (error) {
-    logger.error('MongoDB connection failed:', error);
-    throw error;
+    // Keep serving (stale cache, health endpoints) and retry with backoff
+    logger.error(`MongoDB connection failed, retrying in the background: ${error.message}`);
+    retryConnection(1);
   }
 };
 
-module.exports = { connectDatabase };
+const closeDatabase = async () => {
+  closing = true;
+  clearTimeout(retryTimer);
+  await mongoose.connection.close();
+  logger.info('📦 MongoDB connection closed');
+};
+
+const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+// For reads that have nothing cached to fall back on
+const requireDatabase = (message) => {
+  if (!isDatabaseConnected()) throw new DatabaseUnavailableError(message);
+};
+
+const getDatabaseStatus = () => ({
+  status: connectionStates[mongoose.connection.readyState] || 'unknown',
+  connected: isDatabaseConnected()
+});
+
+module.exports = {
+  connectDatabase,
+  closeDatabase,
+  isDatabaseConnected,
+  requireDatabase,
+  getDatabaseStatus,
+  DatabaseUnavailableError
+};
@@ -2,28 +2,137 @@ const redis = require('redis');
 const { logger } = require('../utils/logger');
 
 let redisClient = null;
+let redisStatus = 'disconnected';
 
+// Every key this service writes lives under this prefix so it can share a
+// Redis database with other applications
+const keyPrefix = process.env.REDIS_KEY_PREFIX || 'newsapp:';
+
+const redisKey = (...parts) => `${keyPrefix}${parts.join(':')}`;
+
+const RECONNECT_BASE_MS = 100;
+const RECONNECT_MAX_MS = 30 * 1000;
+const STARTUP_WAIT_MS = 5000;
+
+const redisOptions = () => ({
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  socket: {
+    connectTimeout: 5000,
+    reconnectStrategy: (retries) => Math.min(RECONNECT_BASE_MS * 2 ** retries, RECONNECT_MAX_MS)
+  }
+});
+
+const setRedisStatus = (status) => {
+  // Closed on purpose during shutdown; later connection events are expected
+  if (redisStatus === 'closed') return;
+
+  const wasReady = redisStatus === 'ready';
+  redisStatus = status;
+
+  if (status === 'ready') {
+    logger.info('🔴 Redis connected successfully');
+  } else if (wasReady) {
+    logger.warn('⚠️ Redis unavailable, running in degraded mode without the cache');
+  }
+};
+
+// Redis is optional: the server starts and keeps serving from MongoDB while it
+// is down, and the client keeps reconnecting with exponential backoff
 const connectRedis = async () => {
-  try {
-    redisClient = redis.createClient({
-      url: process.env.REDIS_URL || 'redis://localhost:6379'
-    });
+  redisClient = redis.createClient({
+    ...redisOptions(),
+    // Fail commands straight away while disconnected rather than queueing them
+    disableOfflineQueue: true
+  });
 
-    redisClient.on('error', (err) => {
+  redisStatus = 'connecting';
+
+  redisClient.on('error', (err) => {
+    // Every failed reconnect attempt emits an error; only report the first
+    if (redisStatus !== 'reconnecting') {
       logger.error('Redis Client Error:', err);
-    });
+    }
+  });
 
-    redisClient.on('connect', () => {
-      logger.info('🔴 Redis connected successfully');
-    });
+  redisClient.on('ready', () => setRedisStatus('ready'));
+  redisClient.on('reconnecting', () => setRedisStatus('reconnecting'));
+  redisClient.on('end', () => setRedisStatus('disconnected'));
 
-    await redisClient.connect();
-  } catch (error) {
+  const connection = redisClient.connect().catch((error) => {
     logger.error('Redis connection failed:', error);
-    throw error;
+  });
+
+  // Give Redis a moment so startup can use the cache, but never block on it
+  await Promise.race([
+    connection,
+    new Promise(resolve => setTimeout(resolve, STARTUP_WAIT_MS).unref())
+  ]);
+
+  if (redisStatus !== 'ready') {
+    logger.warn('⚠️ Redis not reachable yet, starting in degraded mode without the cache');
   }
 };
 
-const getRedisClient = () => redisClient;
+// An extra connection for a dedicated purpose (e.g. pub/sub) with the same
+// reconnect behaviour
+const createRedisConnection = (name, options = {}) => {
+  const client = redis.createClient({ ...redisOptions(), ...options });
+  let reported = false;
+
+  client.on('error', (err) => {
+    if (!reported) {
+      logger.error(`Redis ${name} connection error:`, err);
+      reported = true;
+    }
+  });
+  client.on('ready', () => {
+    reported = false;
+  });
+
+  client.connect().catch((error) => {
+    logger.error(`Redis ${name} connection failed:`, error);
+  });
+  return client;
+};
+
+// quit() flushes pending replies but needs a live connection
+const closeRedisConnection = async (client) => {
+  if (client.isReady) {
+    await client.quit();
+  } else if (client.isOpen) {
+    await client.disconnect();
+  }
+};
+
+const closeRedis = async () => {
+  if (!redisClient) return;
+
+  const client = redisClient;
+  redisClient = null;
+  redisStatus = 'closed';
+
+  await closeRedisConnection(client);
+  logger.info('🔴 Redis connection closed');
+};
+
+// Null unless Redis can take commands right now, so callers skip the cache
+const getRedisClient = () => (redisClient && redisClient.isReady ? redisClient : null);
+
+const isRedisDegraded = () => redisStatus !== 'ready';
+
+const getRedisStatus = () => ({
+  status: redisStatus,
+  connected: redisStatus === 'ready'
+});
 
-module.exports = { connectRedis, getRedisClient };
\ No newline at end of file
+module.exports = {
+  connectRedis,
+  closeRedis,
+  createRedisConnection,
+  closeRedisConnection,
+  getRedisClient,
+  isRedisDegraded,
+  getRedisStatus,
+  redisKey,
+  keyPrefix
+};
\ No newline at end of file
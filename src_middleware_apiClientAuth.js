@@ -0,0 +1,85 @@
+const apiClientService = require('../services/apiClientService');
+const { logger } = require('../utils/logger');
+
+const readBearer = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+};
+
+// Express middleware for the public API: resolves the client from the
+// X-API-Key header (or Authorization: Bearer) and applies its rate limit.
+// Requests without a key pass through untouched unless API_AUTH_REQUIRED=true.
+const authenticateApiClient = async (req, res, next) => {
+  const key = req.headers['x-api-key'] || readBearer(req.headers.authorization);
+
+  if (!key) {
+    if (!apiClientService.authRequired) return next();
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  try {
+    const client = await apiClientService.authenticate(key);
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const limit = await apiClientService.consumeRequest(client);
+    if (limit.remaining !== null) {
+      res.set({
+        'RateLimit-Limit': String(limit.limit),
+        'RateLimit-Remaining': String(limit.remaining),
+        'RateLimit-Reset': String(Math.ceil(limit.resetMs / 1000))
+      });
+    }
+
+    if (!limit.allowed) {
+      res.set('Retry-After', String(Math.ceil(limit.resetMs / 1000)));
+      return res.status(429).json({ error: 'Too many requests for this API key' });
+    }
+
+    req.apiClient = client;
+    next();
+  } catch (error) {
+    logger.error(`API client authentication error: ${error.message}`);
+    res.status(503).json({ error: 'Authentication unavailable' });
+  }
+};
+
+const socketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Socket.IO middleware: clients pass their key as auth.apiKey in the
+// handshake, and each connection takes one of the client's connection slots
+// until it disconnects
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const key = auth.apiKey || headers['x-api-key'];
+
+  if (!key) {
+    return next(apiClientService.authRequired ? socketError('API key required', 'unauthorized') : undefined);
+  }
+
+  try {
+    const client = await apiClientService.authenticate(key);
+    if (!client) {
+      return next(socketError('Invalid API key', 'unauthorized'));
+    }
+
+    if (!await apiClientService.acquireConnection(client, socket.id)) {
+      logger.warn(`🚫 API client ${client.name} refused a connection: limit of ${client.maxConnections} reached`);
+      return next(socketError(`Connection limit of ${client.maxConnections} reached for this API key`, 'connection_limit'));
+    }
+
+    socket.data.apiClient = client;
+    socket.once('disconnect', () => apiClientService.releaseConnection(client, socket.id));
+    next();
+  } catch (error) {
+    logger.error(`WebSocket authentication error: ${error.message}`);
+    next(socketError('Authentication unavailable', 'unavailable'));
+  }
+};
+
+module.exports = { authenticateApiClient, authenticateSocket };
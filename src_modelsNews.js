@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { textSearchLanguage, segmentForSearch } = require('../utils/language');
+
+const tagSchema = new mongoose.Schema({
+  // Lowercase, '-' separated form of the name, used in URLs and lookups
+  slug: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['person', 'organization', 'place', 'other', 'keyword'],
+    default: 'keyword'
+  }
+}, { _id: false });
 
 const newsSchema = new mongoose.Schema({
   title: {
@@ -13,10 +31,20 @@ const newsSchema = new mongoose.Schema({
     trim: true,
     maxlength: 2000
   },
+  // Full article text, filled in by the extraction queue after saving
   content: {
     type: String,
     default: ''
   },
+  author: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  canonicalUrl: {
+    type: String,
+    default: null
+  },
   source: {
     type: String,
     required: true,
@@ -37,6 +65,66 @@ const newsSchema = new mongoose.Schema({
     enum: ['politics', 'technology', 'business', 'sports', 'entertainment', 'health', 'science', 'world', 'general'],
     default: 'general'
   },
+  // Where `category` came from: the feed it was fetched from, the category
+  // classifier, or an admin correction (used as training data)
+  categorySource: {
+    type: String,
+    enum: ['feed', 'classifier', 'admin'],
+    default: 'feed'
+  },
+  // Classifier confidence in `category`, null when it was not used
+  categoryConfidence: {
+    type: Number,
+    default: null
+  },
+  secondaryCategories: {
+    type: [{
+      type: String,
+      enum: ['politics', 'technology', 'business', 'sports', 'entertainment', 'health', 'science', 'world', 'general']
+    }],
+    default: []
+  },
+  // Named entities and keywords, browsable by slug (see services/tagService)
+  tags: {
+    type: [tagSchema],
+    default: []
+  },
+  // ISO 639-1 code of the article text, detected from the text itself
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'en'
+  },
+  // Thai translations, added by the translation provider for articles in other languages
+  title_th: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  summary_th: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // MongoDB text search language derived from `language` ('none' for
+  // languages it cannot stem), set on save
+  textSearchLanguage: {
+    type: String,
+    default: 'english',
+    select: false
+  },
+  // Word-segmented copies of text in scripts written without spaces, such as
+  // Thai, for the text index (see utils/language)
+  segmentedText: {
+    type: new mongoose.Schema({
+      title: String,
+      summary: String,
+      content: String
+    }, { _id: false }),
+    default: undefined,
+    select: false
+  },
   publishedAt: {
     type: Date,
     required: true
@@ -54,20 +142,129 @@ const newsSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Best near-duplicate score against another outlet's article (0 = none found)
   contentSimilarity: {
     type: Number,
     default: 0
+  },
+  // MinHash signature of title + summary and its LSH band keys (see utils/minhash)
+  minhash: {
+    type: [Number],
+    select: false
+  },
+  lshBuckets: {
+    type: [String],
+    select: false
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null,
+    index: true
+  },
+  // Content extraction job state (see services/extractionQueue)
+  extraction: {
+    type: new mongoose.Schema({
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'done', 'failed', 'skipped'],
+        default: 'pending'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      nextAttemptAt: {
+        type: Date,
+        default: Date.now
+      },
+      // A job still processing after this was abandoned and can be claimed again
+      lockedUntil: {
+        type: Date,
+        default: null
+      },
+      lastError: {
+        type: String,
+        default: null
+      },
+      extractedAt: {
+        type: Date,
+        default: null
+      }
+    }, { _id: false }),
+    default: () => ({}),
+    select: false
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Dedup fingerprints and extraction state are internal, keep them out of
+    // API and WebSocket payloads
+    transform: (doc, ret) => {
+      delete ret.minhash;
+      delete ret.lshBuckets;
+      delete ret.extraction;
+      delete ret.textSearchLanguage;
+      delete ret.segmentedText;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 // Indexes for performance
 newsSchema.index({ publishedAt: -1 });
+// Active listings and their counts
+newsSchema.index({ isActive: 1, publishedAt: -1 });
 newsSchema.index({ category: 1, publishedAt: -1 });
 newsSchema.index({ source: 1, publishedAt: -1 });
+newsSchema.index({ language: 1, publishedAt: -1 });
+newsSchema.index({ 'tags.slug': 1, publishedAt: -1 });
 newsSchema.index({ sourceHash: 1 });
+newsSchema.index({ lshBuckets: 1, publishedAt: -1 });
+newsSchema.index({ 'extraction.status': 1, 'extraction.nextAttemptAt': 1 });
+newsSchema.index({ categorySource: 1, categoryConfidence: 1 });
+newsSchema.index(
+  {
+    title: 'text',
+    summary: 'text',
+    content: 'text',
+    'segmentedText.title': 'text',
+    'segmentedText.summary': 'text',
+    'segmentedText.content': 'text'
+  },
+  {
+    name: 'news_text_search',
+    weights: {
+      title: 10,
+      summary: 4,
+      content: 1,
+      'segmentedText.title': 10,
+      'segmentedText.summary': 4,
+      'segmentedText.content': 1
+    },
+    default_language: 'english',
+    // Keep `language` (ISO codes MongoDB may not support) from driving stemming
+    language_override: 'textSearchLanguage'
+  }
+);
+
+// Keep the text index fields in step with the text they are derived from.
+// Updates that bypass save (content extraction) set segmentedText.content themselves.
+newsSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('language')) {
+    this.textSearchLanguage = textSearchLanguage(this.language);
+  }
+  if (this.isNew || this.isModified('title') || this.isModified('summary')) {
+    const segmented = {
+      title: segmentForSearch(this.title),
+      summary: segmentForSearch(this.summary),
+      content: this.segmentedText?.content || null
+    };
+    this.segmentedText = Object.values(segmented).some(Boolean) ? segmented : undefined;
+  }
+  next();
+});
 
 // Virtual for age calculation
 newsSchema.virtual('age').get(function() {
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const apiClientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the key; the key itself is only shown when it is issued
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to tell keys apart in listings
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  requestsPerMinute: {
+    type: Number,
+    min: 1,
+    default: () => parseInt(process.env.API_CLIENT_REQUESTS_PER_MINUTE, 10) || 60
+  },
+  // Concurrent WebSocket connections across all instances
+  maxConnections: {
+    type: Number,
+    min: 0,
+    default: () => parseInt(process.env.API_CLIENT_MAX_CONNECTIONS, 10) || 5
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+apiClientSchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Issue a new key, replacing any previous one. Returns the plain key.
+apiClientSchema.methods.generateKey = function() {
+  const key = `nk_${crypto.randomBytes(24).toString('base64url')}`;
+  this.keyHash = this.constructor.hashKey(key);
+  this.keyPrefix = key.slice(0, 10);
+  return key;
+};
+
+module.exports = mongoose.model('ApiClient', apiClientSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A trained text classifier (see utils/tfidf). One document per classifier
+// name, replaced on every training run.
+const classifierModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+  documentCount: {
+    type: Number,
+    default: 0
+  },
+  // Label -> number of training documents
+  sampleCounts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Share of held-out documents labelled correctly, null if too few to hold any out
+  accuracy: {
+    type: Number,
+    default: null
+  },
+  // Term -> inverse document frequency
+  idf: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Label -> { term: weight }, each normalized to unit length
+  centroids: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('ClassifierModel', classifierModelSchema);
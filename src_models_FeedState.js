@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const feedStateSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  // HTTP validators from the last successful response
+  etag: {
+    type: String,
+    default: null
+  },
+  lastModified: {
+    type: String,
+    default: null
+  },
+  lastStatus: {
+    type: Number,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  lastErrorAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  // Circuit breaker state (see utils/circuitBreaker), null while the feed is healthy
+  circuit: {
+    type: new mongoose.Schema({
+      state: {
+        type: String,
+        enum: ['closed', 'open', 'half-open'],
+        default: 'closed'
+      },
+      consecutiveFailures: {
+        type: Number,
+        default: 0
+      },
+      openedAt: {
+        type: Date,
+        default: null
+      },
+      lastFailureAt: {
+        type: Date,
+        default: null
+      },
+      nextAttemptAt: {
+        type: Date,
+        default: null
+      }
+    }, { _id: false }),
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+feedStateSchema.index({ source: 1 });
+
+module.exports = mongoose.model('FeedState', feedStateSchema);
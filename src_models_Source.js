@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const sourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['rss', 'api']
+  },
+  // Fetcher adapter name (see services/fetchers); null uses the type's default adapter
+  adapter: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Category name -> feed or endpoint URL
+  urls: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // ISO 639-1 code applied to this source's articles
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'en'
+  },
+  // Minutes between fetches of this source
+  fetchInterval: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  // Name of the environment variable holding the credentials, never the secret itself
+  credentialsRef: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastFetchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sourceSchema.index({ isEnabled: 1 });
+
+module.exports = mongoose.model('Source', sourceSchema);
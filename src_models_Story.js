@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const storyArticleSchema = new mongoose.Schema({
+  news: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'News',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publishedAt: {
+    type: Date,
+    required: true
+  },
+  // Similarity to the story when the article joined it (1 for the founding article)
+  similarity: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
+
+// A cluster of articles from one or more outlets covering the same story
+const storySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  summary: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  // Content words of its articles' titles, for finding candidate stories
+  keywords: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  articles: {
+    type: [storyArticleSchema],
+    default: []
+  },
+  sources: {
+    type: [String],
+    default: []
+  },
+  // Number of distinct outlets covering the story
+  coverageCount: {
+    type: Number,
+    default: 0
+  },
+  firstPublishedAt: {
+    type: Date,
+    required: true
+  },
+  firstSource: {
+    type: String,
+    required: true
+  },
+  lastPublishedAt: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+storySchema.index({ lastPublishedAt: -1 });
+storySchema.index({ category: 1, lastPublishedAt: -1 });
+storySchema.index({ coverageCount: -1, lastPublishedAt: -1 });
+storySchema.index({ keywords: 1, lastPublishedAt: -1 });
+
+module.exports = mongoose.model('Story', storySchema);
@@ -1,8 +1,19 @@
 const express = require('express');
+const Joi = require('joi');
 const newsService = require('../services/newsService');
+const feedStateService = require('../services/feedStateService');
+const newsCache = require('../services/newsCache');
+const apiClientService = require('../services/apiClientService');
+const extractionQueue = require('../services/extractionQueue');
+const categoryClassifier = require('../services/categoryClassifier');
+const tagService = require('../services/tagService');
 const { logger } = require('../utils/logger');
-const { getRedisClient } = require('../config/redis');
+const { getRedisClient, keyPrefix } = require('../config/redis');
 const News = require('../models/News');
+const Source = require('../models/Source');
+const ApiClient = require('../models/ApiClient');
+const { getFetcher } = require('../services/fetchers');
+const { getNewsScheduler } = require('../services/newsScheduler');
 
 const router = express.Router();
 
@@ -22,11 +33,82 @@ const authenticateAdmin = (req, res, next) => {
   next();
 };
 
+const requireRedis = (req, res, next) => {
+  if (!getRedisClient()) {
+    return res.status(503).json({ error: 'Redis not available' });
+  }
+  next();
+};
+
+// Validation schemas
+const categories = News.schema.path('category').enumValues;
+
+const sourceSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  type: Joi.string().valid('rss', 'api'),
+  adapter: Joi.string().allow(null).custom((value, helpers) => {
+    return value === null || getFetcher(value) ? value : helpers.message(`Unknown fetcher adapter "${value}"`);
+  }),
+  urls: Joi.object().pattern(Joi.string().valid(...categories), Joi.string().uri()).min(1),
+  language: Joi.string().lowercase().pattern(/^[a-z]{2}$/),
+  fetchInterval: Joi.number().integer().min(1).max(1440),
+  credentialsRef: Joi.string().pattern(/^[A-Z][A-Z0-9_]*$/).allow(null),
+  isEnabled: Joi.boolean()
+});
+
+const createSourceSchema = sourceSchema.fork(['name', 'type', 'urls'], field => field.required());
+
+const apiClientSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  requestsPerMinute: Joi.number().integer().min(1).max(100000),
+  maxConnections: Joi.number().integer().min(0).max(10000),
+  isEnabled: Joi.boolean()
+});
+
+const createApiClientSchema = apiClientSchema.fork(['name'], field => field.required());
+
+const usageQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(31).default(7)
+});
+
+const extractionRetrySchema = Joi.object({
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(1000).unique()
+});
+
+const categoryUpdateSchema = Joi.object({
+  category: Joi.string().valid(...categories).required(),
+  secondaryCategories: Joi.array().items(Joi.string().valid(...categories)).max(3).unique().default([])
+});
+
+const classifierTrainSchema = Joi.object({
+  limit: Joi.number().integer().min(100).max(100000).default(20000),
+  days: Joi.number().integer().min(1).max(365).default(90)
+});
+
+const classifierReviewSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  category: Joi.string().valid(...categories)
+});
+
+const retagSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90).default(7)
+});
+
+// Patterns are relative to the key prefix and use Redis glob syntax
+const cacheKeysSchema = Joi.object({
+  pattern: Joi.string().max(200).default('*'),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const cacheWarmSchema = Joi.object({
+  categories: Joi.array().items(Joi.string().valid(...categories)).unique()
+});
+
 // POST /api/admin/trigger-fetch - Manual news fetch trigger
 router.post('/trigger-fetch', authenticateAdmin, async (req, res) => {
   try {
     logger.info('🔄 Manual news fetch triggered by admin');
-    const newNews = await newsService.fetchAllNews();
+    const newNews = await newsService.fetchAllNews({ force: true });
     
     res.json({
       success: true,
@@ -79,27 +161,110 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/admin/cache/clear - Clear Redis cache
-router.delete('/cache/clear', authenticateAdmin, async (req, res) => {
+// DELETE /api/admin/cache/clear - Clear this service's Redis keys
+router.delete('/cache/clear', authenticateAdmin, requireRedis, async (req, res) => {
   try {
-    const redis = getRedisClient();
-    if (redis) {
-      await redis.flushDb();
-      logger.info('🧹 Redis cache cleared by admin');
-      res.json({ success: true, message: 'Cache cleared successfully' });
-    } else {
-      res.status(503).json({ error: 'Redis not available' });
-    }
+    const deleted = await newsCache.clear();
+    logger.info(`🧹 Redis cache cleared by admin (${deleted} keys)`);
+    res.json({ success: true, message: 'Cache cleared successfully', deleted });
   } catch (error) {
     logger.error('Admin cache clear error:', error);
     res.status(500).json({ error: 'Failed to clear cache' });
   }
 });
 
+// GET /api/admin/cache/keys - Inspect cache keys by pattern with their TTL
+router.get('/cache/keys', authenticateAdmin, requireRedis, async (req, res) => {
+  try {
+    const { error, value } = cacheKeysSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const keys = await newsCache.inspectKeys(value.pattern, value.limit);
+    res.json({
+      success: true,
+      prefix: keyPrefix,
+      pattern: value.pattern,
+      data: keys,
+      truncated: keys.length >= value.limit,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin cache keys error:', error);
+    res.status(500).json({ error: 'Failed to inspect cache keys' });
+  }
+});
+
+// DELETE /api/admin/cache/news/:id - Evict a single cached article
+router.delete('/cache/news/:id', authenticateAdmin, requireRedis, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^[a-f\d]{24}$/i.test(id)) {
+      return res.status(400).json({ error: 'Invalid news id' });
+    }
+
+    const deleted = await newsCache.evictArticle(id);
+    logger.info(`🧹 Cached article ${id} evicted by admin`);
+    res.json({ success: true, evicted: deleted > 0 });
+  } catch (error) {
+    logger.error('Admin cache evict error:', error);
+    res.status(500).json({ error: 'Failed to evict article' });
+  }
+});
+
+// DELETE /api/admin/cache/listings/:listing - Evict the latest listing or a category listing
+router.delete('/cache/listings/:listing', authenticateAdmin, requireRedis, async (req, res) => {
+  try {
+    const { listing } = req.params;
+    if (listing !== 'latest' && !categories.includes(listing)) {
+      return res.status(400).json({ error: `Listing must be "latest" or one of: ${categories.join(', ')}` });
+    }
+
+    const deleted = await newsCache.evictListing(listing === 'latest' ? null : listing);
+    logger.info(`🧹 Cached ${listing} listing evicted by admin`);
+    res.json({ success: true, evicted: deleted > 0 });
+  } catch (error) {
+    logger.error('Admin cache evict error:', error);
+    res.status(500).json({ error: 'Failed to evict listing' });
+  }
+});
+
+// POST /api/admin/cache/warm - Rebuild the latest and category listings from MongoDB
+router.post('/cache/warm', authenticateAdmin, requireRedis, async (req, res) => {
+  try {
+    const { error, value } = cacheWarmSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const results = await newsCache.warm(value.categories);
+    logger.info('🔥 Cache warmed by admin');
+    res.json({ success: true, data: results, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Admin cache warm error:', error);
+    res.status(500).json({ error: 'Failed to warm cache' });
+  }
+});
+
+// GET /api/admin/cache/stats - Cache hit/miss metrics for this instance
+router.get('/cache/stats', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    stats: newsCache.getMetrics(),
+    redisAvailable: Boolean(getRedisClient()),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // POST /api/admin/news/:id/deactivate - Deactivate specific news item
 router.post('/news/:id/deactivate', authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
+    if (!/^[a-f\d]{24}$/i.test(id)) {
+      return res.status(400).json({ error: 'Invalid news id' });
+    }
+
     const news = await News.findByIdAndUpdate(
       id,
       { isActive: false },
@@ -109,6 +274,8 @@ router.post('/news/:id/deactivate', authenticateAdmin, async (req, res) => {
     if (!news) {
       return res.status(404).json({ error: 'News item not found' });
     }
+
+    await newsCache.invalidateArticles([news]);
     
     logger.info(`📰 News item deactivated by admin: ${id}`);
     res.json({ success: true, message: 'News item deactivated', data: news });
@@ -118,4 +285,494 @@ router.post('/news/:id/deactivate', authenticateAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/sources - List registered news sources
+router.get('/sources', authenticateAdmin, async (req, res) => {
+  try {
+    const sources = await Source.find().sort({ name: 1 }).lean();
+    res.json({ success: true, data: sources });
+  } catch (error) {
+    logger.error('Admin list sources error:', error);
+    res.status(500).json({ error: 'Failed to list sources' });
+  }
+});
+
+// POST /api/admin/sources - Register a new news source
+router.post('/sources', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = createSourceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const source = await Source.create(value);
+    logger.info(`📰 News source created by admin: ${source.name}`);
+    res.status(201).json({ success: true, data: source });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A source with this name already exists' });
+    }
+    logger.error('Admin create source error:', error);
+    res.status(500).json({ error: 'Failed to create source' });
+  }
+});
+
+// PUT /api/admin/sources/:id - Update a news source
+router.put('/sources/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = sourceSchema.min(1).validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const source = await Source.findByIdAndUpdate(req.params.id, value, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    logger.info(`📰 News source updated by admin: ${source.name}`);
+    res.json({ success: true, data: source });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A source with this name already exists' });
+    }
+    logger.error('Admin update source error:', error);
+    res.status(500).json({ error: 'Failed to update source' });
+  }
+});
+
+// POST /api/admin/sources/:id/enable|disable - Switch a news source on or off
+router.post('/sources/:id/:action(enable|disable)', authenticateAdmin, async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const source = await Source.findByIdAndUpdate(
+      id,
+      { isEnabled: action === 'enable' },
+      { new: true }
+    );
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    logger.info(`📰 News source ${action}d by admin: ${source.name}`);
+    res.json({ success: true, message: `Source ${action}d`, data: source });
+  } catch (error) {
+    logger.error('Admin toggle source error:', error);
+    res.status(500).json({ error: 'Failed to update source' });
+  }
+});
+
+// DELETE /api/admin/sources/:id - Remove a news source
+router.delete('/sources/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const source = await Source.findByIdAndDelete(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    logger.info(`📰 News source deleted by admin: ${source.name}`);
+    res.json({ success: true, message: 'Source deleted' });
+  } catch (error) {
+    logger.error('Admin delete source error:', error);
+    res.status(500).json({ error: 'Failed to delete source' });
+  }
+});
+
+// GET /api/admin/clients - List API clients
+router.get('/clients', authenticateAdmin, async (req, res) => {
+  try {
+    const clients = await ApiClient.find().sort({ name: 1 }).lean();
+    res.json({ success: true, data: clients });
+  } catch (error) {
+    logger.error('Admin list API clients error:', error);
+    res.status(500).json({ error: 'Failed to list API clients' });
+  }
+});
+
+// POST /api/admin/clients - Create an API client; the key is only returned here
+router.post('/clients', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = createApiClientSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = new ApiClient(value);
+    const apiKey = client.generateKey();
+    await client.save();
+
+    logger.info(`🔑 API client created by admin: ${client.name}`);
+    res.status(201).json({ success: true, data: client, apiKey });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An API client with this name already exists' });
+    }
+    logger.error('Admin create API client error:', error);
+    res.status(500).json({ error: 'Failed to create API client' });
+  }
+});
+
+// PUT /api/admin/clients/:id - Update an API client's name, limits or status
+router.put('/clients/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = apiClientSchema.min(1).validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await ApiClient.findByIdAndUpdate(req.params.id, value, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!client) {
+      return res.status(404).json({ error: 'API client not found' });
+    }
+
+    apiClientService.forget(client.id);
+    logger.info(`🔑 API client updated by admin: ${client.name}`);
+    res.json({ success: true, data: client });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An API client with this name already exists' });
+    }
+    logger.error('Admin update API client error:', error);
+    res.status(500).json({ error: 'Failed to update API client' });
+  }
+});
+
+// POST /api/admin/clients/:id/rotate - Issue a new key; the old one stops working
+router.post('/clients/:id/rotate', authenticateAdmin, async (req, res) => {
+  try {
+    const client = await ApiClient.findById(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({ error: 'API client not found' });
+    }
+
+    const apiKey = client.generateKey();
+    await client.save();
+
+    apiClientService.forget(client.id);
+    logger.info(`🔑 API key rotated by admin: ${client.name}`);
+    res.json({ success: true, data: client, apiKey });
+  } catch (error) {
+    logger.error('Admin rotate API key error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// DELETE /api/admin/clients/:id - Remove an API client
+router.delete('/clients/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const client = await ApiClient.findByIdAndDelete(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({ error: 'API client not found' });
+    }
+
+    apiClientService.forget(client.id);
+    logger.info(`🔑 API client deleted by admin: ${client.name}`);
+    res.json({ success: true, message: 'API client deleted' });
+  } catch (error) {
+    logger.error('Admin delete API client error:', error);
+    res.status(500).json({ error: 'Failed to delete API client' });
+  }
+});
+
+// GET /api/admin/clients/:id/usage - Daily request and connection counters
+router.get('/clients/:id/usage', authenticateAdmin, requireRedis, async (req, res) => {
+  try {
+    const { error, value } = usageQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await ApiClient.findById(req.params.id).lean();
+    if (!client) {
+      return res.status(404).json({ error: 'API client not found' });
+    }
+
+    const usage = await apiClientService.getUsage(client._id.toString(), value.days);
+    res.json({
+      success: true,
+      client: {
+        id: client._id,
+        name: client.name,
+        requestsPerMinute: client.requestsPerMinute,
+        maxConnections: client.maxConnections,
+        lastUsedAt: client.lastUsedAt
+      },
+      usage,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin API client usage error:', error);
+    res.status(500).json({ error: 'Failed to get API client usage' });
+  }
+});
+
+// GET /api/admin/extraction - Content extraction queue counts and recent failures
+router.get('/extraction', authenticateAdmin, async (req, res) => {
+  try {
+    const stats = await extractionQueue.getStats();
+    res.json({ success: true, data: stats, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Admin extraction stats error:', error);
+    res.status(500).json({ error: 'Failed to get extraction stats' });
+  }
+});
+
+// POST /api/admin/extraction/retry - Queue failed extractions ({ ids } for specific articles) again
+router.post('/extraction/retry', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = extractionRetrySchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const queued = await extractionQueue.retry(value.ids);
+    logger.info(`📄 ${queued} content extraction(s) queued again by admin`);
+    res.json({ success: true, message: 'Extractions queued', queued });
+  } catch (error) {
+    logger.error('Admin extraction retry error:', error);
+    res.status(500).json({ error: 'Failed to queue extractions' });
+  }
+});
+
+// GET /api/admin/classifier - Category model details and how stored articles were labelled
+router.get('/classifier', authenticateAdmin, async (req, res) => {
+  try {
+    const counts = await News.aggregate([
+      { $group: { _id: { $ifNull: ['$categorySource', 'feed'] }, count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...categoryClassifier.getInfo(),
+        minConfidence: categoryClassifier.minConfidence,
+        overrideConfidence: categoryClassifier.overrideConfidence,
+        articlesBySource: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin classifier info error:', error);
+    res.status(500).json({ error: 'Failed to get classifier info' });
+  }
+});
+
+// POST /api/admin/classifier/reload - Load the latest trained model now instead of within CLASSIFIER_RELOAD_MS
+router.post('/classifier/reload', authenticateAdmin, async (req, res) => {
+  try {
+    await categoryClassifier.load({ force: true });
+
+    logger.info('🏷️ Category model reloaded by admin');
+    res.json({ success: true, message: 'Category model reloaded', data: categoryClassifier.getInfo() });
+  } catch (error) {
+    logger.error('Admin classifier reload error:', error);
+    res.status(500).json({ error: 'Failed to reload category model' });
+  }
+});
+
+// POST /api/admin/classifier/train - Retrain the category model from stored articles
+router.post('/classifier/train', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = classifierTrainSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    logger.info('🏷️ Category model training triggered by admin');
+    const result = await categoryClassifier.train(value);
+    res.json({ success: true, message: 'Category model trained', data: result });
+  } catch (error) {
+    logger.error('Admin classifier training error:', error);
+    res.status(500).json({ error: 'Failed to train category model' });
+  }
+});
+
+// GET /api/admin/classifier/review - Classifier-labelled articles with the lowest confidence
+router.get('/classifier/review', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = classifierReviewSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const filter = { isActive: true, categorySource: 'classifier' };
+    if (value.category) filter.category = value.category;
+
+    const articles = await News.find(filter)
+      .sort({ categoryConfidence: 1, publishedAt: -1 })
+      .limit(value.limit)
+      .select({ title: 1, summary: 1, source: 1, url: 1, category: 1, categoryConfidence: 1, secondaryCategories: 1, publishedAt: 1 })
+      .lean();
+
+    res.json({ success: true, data: articles, count: articles.length });
+  } catch (error) {
+    logger.error('Admin classifier review error:', error);
+    res.status(500).json({ error: 'Failed to get articles for review' });
+  }
+});
+
+// PUT /api/admin/news/:id/category - Correct an article's category (used as training data)
+router.put('/news/:id/category', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^[a-f\d]{24}$/i.test(id)) {
+      return res.status(400).json({ error: 'Invalid news id' });
+    }
+
+    const { error, value } = categoryUpdateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const previous = await News.findByIdAndUpdate(id, {
+      category: value.category,
+      categorySource: 'admin',
+      categoryConfidence: null,
+      secondaryCategories: value.secondaryCategories.filter(category => category !== value.category)
+    });
+
+    if (!previous) {
+      return res.status(404).json({ error: 'News item not found' });
+    }
+
+    // Move the article from its old category listing to the new one
+    const news = await News.findById(previous._id);
+    await newsCache.invalidateArticles([previous]);
+    if (news.isActive) {
+      await newsCache.addArticle(news);
+    }
+
+    logger.info(`🏷️ News item ${news._id} recategorized by admin: ${previous.category} -> ${news.category}`);
+    res.json({ success: true, message: 'Category updated', data: news });
+  } catch (error) {
+    logger.error('Admin category update error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// POST /api/admin/tags/retag - Tag recent articles again with the current rules
+router.post('/tags/retag', authenticateAdmin, async (req, res) => {
+  try {
+    const { error, value } = retagSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    logger.info('🏷️ Article retagging triggered by admin');
+    const updated = await tagService.retag(value);
+    res.json({ success: true, message: 'Articles retagged', updated });
+  } catch (error) {
+    logger.error('Admin retag error:', error);
+    res.status(500).json({ error: 'Failed to retag articles' });
+  }
+});
+
+// GET /api/admin/feeds - Per-feed fetch state (validators, last success/error, item count)
+router.get('/feeds', authenticateAdmin, async (req, res) => {
+  try {
+    const { source, status } = req.query;
+    let feeds = await feedStateService.listStates(source ? { source } : {});
+
+    if (status === 'stale') {
+      feeds = feeds.filter(feed => feed.isStale);
+    } else if (status === 'failing') {
+      feeds = feeds.filter(feed => feed.isFailing);
+    }
+
+    res.json({
+      success: true,
+      data: feeds,
+      summary: {
+        total: feeds.length,
+        stale: feeds.filter(feed => feed.isStale).length,
+        failing: feeds.filter(feed => feed.isFailing).length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin feed state error:', error);
+    res.status(500).json({ error: 'Failed to get feed state' });
+  }
+});
+
+// GET /api/admin/scheduler/lease - Which instance holds the scheduler lease
+router.get('/scheduler/lease', authenticateAdmin, requireRedis, async (req, res) => {
+  try {
+    const scheduler = getNewsScheduler();
+    if (!scheduler) {
+      return res.status(503).json({ error: 'Scheduler not running on this instance' });
+    }
+
+    const holder = await scheduler.lease.getHolder();
+    res.json({
+      success: true,
+      lease: {
+        name: scheduler.lease.name,
+        ttlMs: scheduler.lease.ttlMs,
+        holder
+      },
+      instanceId: scheduler.lease.instanceId,
+      isLeader: Boolean(holder && holder.isSelf),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin scheduler lease error:', error);
+    res.status(500).json({ error: 'Failed to get scheduler lease' });
+  }
+});
+
+// GET /api/admin/circuits - Feeds backing off or with an open circuit
+router.get('/circuits', authenticateAdmin, async (req, res) => {
+  try {
+    const openOnly = req.query.all !== 'true';
+    const circuits = await feedStateService.listCircuits({ openOnly });
+
+    res.json({
+      success: true,
+      data: circuits,
+      count: circuits.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Admin circuits error:', error);
+    res.status(500).json({ error: 'Failed to get feed circuits' });
+  }
+});
+
+// POST /api/admin/circuits/reset - Close one feed's circuit ({ url }) or all of them
+router.post('/circuits/reset', authenticateAdmin, async (req, res) => {
+  try {
+    const { url } = req.body || {};
+
+    // The scheduler lease holder reloads circuits at the start of its next cycle
+    if (url) {
+      if (!(await feedStateService.resetCircuits(url))) {
+        return res.status(404).json({ error: 'No circuit for this feed' });
+      }
+      newsService.feedHealth.reset(url);
+      logger.info(`🔁 Circuit reset by admin: ${url}`);
+      return res.json({ success: true, message: 'Circuit reset', reset: 1 });
+    }
+
+    const reset = await feedStateService.resetCircuits();
+    newsService.feedHealth.resetAll();
+    logger.info(`🔁 All ${reset} circuits reset by admin`);
+    res.json({ success: true, message: 'All circuits reset', reset });
+  } catch (error) {
+    logger.error('Admin circuit reset error:', error);
+    res.status(500).json({ error: 'Failed to reset circuits' });
+  }
+});
+
 module.exports = router;
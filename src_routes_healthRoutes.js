@@ -0,0 +1,52 @@
+const express = require('express');
+const { getDatabaseStatus } = require('../config/database');
+const { getRedisStatus } = require('../config/redis');
+
+const router = express.Router();
+
+// Ready while MongoDB is up, or while Redis can still serve the stale cache.
+// Running without one of them is reported as degraded.
+const getReadiness = () => {
+  const dependencies = {
+    mongodb: getDatabaseStatus(),
+    redis: getRedisStatus()
+  };
+  const ready = dependencies.mongodb.connected || dependencies.redis.connected;
+  const degraded = !dependencies.mongodb.connected || !dependencies.redis.connected;
+
+  return {
+    status: !ready ? 'unavailable' : degraded ? 'degraded' : 'OK',
+    ready,
+    degraded,
+    dependencies
+  };
+};
+
+// GET /health - Overall status with each dependency's state
+router.get('/', (req, res) => {
+  res.json({
+    ...getReadiness(),
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// GET /health/live - Liveness: the process is up and handling requests
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// GET /health/ready - Readiness: 503 when news cannot be served at all
+router.get('/ready', (req, res) => {
+  const readiness = getReadiness();
+  res.status(readiness.ready ? 200 : 503).json({
+    ...readiness,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -1,16 +1,118 @@
 const express = require('express');
 const Joi = require('joi');
 const newsService = require('../services/newsService');
+const storyService = require('../services/storyService');
+const tagService = require('../services/tagService');
 const { logger } = require('../utils/logger');
+const { InvalidCursorError } = require('../utils/pagination');
+const { slugifyTag } = require('../utils/entities');
+const { DatabaseUnavailableError } = require('../config/database');
+const { createSubscription } = require('../websocket/subscriptions');
+const { openStream } = require('../websocket/sseHandler');
 
 const router = express.Router();
 
 // Validation schemas
+const categories = ['politics', 'technology', 'business', 'sports', 'entertainment', 'health', 'science', 'world', 'general'];
+
 const querySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   offset: Joi.number().integer().min(0).default(0),
-  category: Joi.string().valid('politics', 'technology', 'business', 'sports', 'entertainment', 'health', 'science', 'world', 'general'),
-  q: Joi.string().min(2).max(100)
+  cursor: Joi.string().max(200),
+  count: Joi.string().valid('exact', 'cached').default('exact'),
+  category: Joi.string().valid(...categories),
+  q: Joi.string().min(2).max(100),
+  source: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  // ISO 639-1 language code
+  lang: Joi.string().lowercase().pattern(/^[a-z]{2}$/),
+  sort: Joi.string().valid('relevance', 'date').default('relevance')
+});
+
+// GET /api/news filters: list parameters accept repeats (?category=a&category=b) or commas (?category=a,b)
+const newsQuerySchema = querySchema.keys({
+  category: Joi.array().items(Joi.string().valid(...categories)).max(categories.length),
+  source: Joi.array().items(Joi.string().trim().max(100)).max(20),
+  hasImage: Joi.boolean(),
+  language: Joi.string().lowercase().pattern(/^[a-z]{2}$/),
+  sort: Joi.string().valid('newest', 'oldest').default('newest')
+}).fork(['q'], field => field.forbidden()).rename('lang', 'language', { ignoreUndefined: true });
+
+const tagTypes = ['person', 'organization', 'place', 'other', 'keyword'];
+
+const trendingTagsSchema = Joi.object({
+  hours: Joi.number().integer().min(1).max(168).default(24),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  type: Joi.string().valid(...tagTypes),
+  minCount: Joi.number().integer().min(1).max(100).default(2)
+});
+
+const toList = (value) => {
+  if (value === undefined) return undefined;
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+};
+
+// How long clients are asked to wait while MongoDB is down (the longest
+// interval between reconnection attempts)
+const DATABASE_RETRY_AFTER_SECONDS = 30;
+
+// Errors every read endpoint answers the same way. Returns false for any
+// other error, which the route reports as a 500.
+const sendReadError = (res, error) => {
+  if (error instanceof InvalidCursorError) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  if (error instanceof DatabaseUnavailableError) {
+    res.set('Retry-After', String(DATABASE_RETRY_AFTER_SECONDS));
+    res.status(503).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
+
+// Offset is ignored once a cursor is given
+const buildPagination = ({ limit, offset, cursor }, page) => ({
+  limit,
+  offset: cursor ? null : offset,
+  cursor: cursor || null,
+  nextCursor: page.nextCursor,
+  prevCursor: page.prevCursor,
+  total: page.total,
+  totalCached: page.totalCached
+});
+
+// GET /api/news - Query news with combined filters
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = newsQuerySchema.validate({
+      ...req.query,
+      category: toList(req.query.category),
+      source: toList(req.query.source)
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { limit, offset, cursor, count, category, source, from, to, hasImage, language, sort } = value;
+    const filters = { categories: category, sources: source, from, to, hasImage, language };
+    const page = await newsService.queryNews(filters, { limit, offset, cursor, count, sort });
+
+    res.json({
+      success: true,
+      data: page.data,
+      filters: { category, source, from, to, hasImage, language },
+      sort,
+      ...(page.stale && { stale: true }),
+      pagination: buildPagination(value, page),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (sendReadError(res, error)) return;
+    logger.error('News query API error:', error);
+    res.status(500).json({ error: 'Failed to query news' });
+  }
 });
 
 // GET /api/news/latest - Get latest news
@@ -21,51 +123,74 @@ router.get('/latest', async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { limit, offset } = value;
-    const news = await newsService.getLatestNews(limit, offset);
+    const { limit, offset, cursor, count, lang } = value;
+    const page = await newsService.getLatestNews({ limit, offset, cursor, count, language: lang });
     
     res.json({
       success: true,
-      data: news,
-      pagination: {
-        limit,
-        offset,
-        total: news.length
-      },
+      data: page.data,
+      ...(lang && { lang }),
+      ...(page.stale && { stale: true }),
+      pagination: buildPagination(value, page),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (sendReadError(res, error)) return;
     logger.error('Latest news API error:', error);
     res.status(500).json({ error: 'Failed to fetch latest news' });
   }
 });
 
-// GET /api/news/:category - Get news by category
-router.get('/:category', async (req, res) => {
+const storyQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.string().max(200),
+  category: Joi.string().valid(...categories),
+  minCoverage: Joi.number().integer().min(1).default(1)
+});
+
+// GET /api/news/stories - Get story clusters grouping coverage across sources
+router.get('/stories', async (req, res) => {
   try {
-    const { category } = req.params;
-    const { error, value } = querySchema.validate({ ...req.query, category });
+    const { error, value } = storyQuerySchema.validate(req.query);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { limit, offset } = value;
-    const news = await newsService.getNewsByCategory(category, limit, offset);
-    
+    const { limit, offset, cursor, category, minCoverage } = value;
+    const page = await storyService.getStories({ limit, offset, cursor, category, minCoverage });
+
     res.json({
       success: true,
-      data: news,
-      category,
-      pagination: {
-        limit,
-        offset,
-        total: news.length
-      },
+      data: page.data,
+      pagination: buildPagination(value, page),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Category news API error:', error);
-    res.status(500).json({ error: 'Failed to fetch category news' });
+    if (sendReadError(res, error)) return;
+    logger.error('Stories API error:', error);
+    res.status(500).json({ error: 'Failed to fetch stories' });
+  }
+});
+
+// GET /api/news/stories/:id - Get a single story cluster
+router.get('/stories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^[a-f\d]{24}$/i.test(id)) {
+      return res.status(400).json({ error: 'Invalid story id' });
+    }
+
+    const story = await storyService.getStoryById(id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json({ success: true, data: story, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (sendReadError(res, error)) return;
+    logger.error('Story API error:', error);
+    res.status(500).json({ error: 'Failed to fetch story' });
   }
 });
 
@@ -77,154 +202,143 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { q, limit, offset } = value;
+    const { q, limit, offset, cursor, source, category, from, to, lang, sort } = value;
     if (!q) {
       return res.status(400).json({ error: 'Query parameter "q" is required' });
     }
 
-    const news = await newsService.searchNews(q, limit, offset);
+    const page = await newsService.searchNews(q, { limit, offset, cursor, source, category, language: lang, from, to, sort });
     
     res.json({
       success: true,
-      data: news,
+      data: page.data,
       query: q,
-      pagination: {
-        limit,
-        offset,
-        total: news.length
-      },
+      filters: { source, category, from, to, lang },
+      sort: cursor ? 'date' : sort,
+      pagination: buildPagination(value, page),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (sendReadError(res, error)) return;
     logger.error('Search news API error:', error);
     res.status(500).json({ error: 'Failed to search news' });
   }
 });
 
-module.exports = router;
-
-// ===================================
-// src/routes/adminRoutes.js - Admin API Routes
-// ===================================
-
-const express = require('express');
-const newsService = require('../services/newsService');
-const { logger } = require('../utils/logger');
-const { getRedisClient } = require('../config/redis');
-const News = require('../models/News');
+// GET /api/news/stream - Server-Sent Events stream of new articles
+router.get('/stream', async (req, res) => {
+  try {
+    const categories = toList(req.query.category);
+    const sources = toList(req.query.source);
+    const { lang: language } = req.query;
 
-const router = express.Router();
+    let subscription = null;
+    if (categories || sources || language) {
+      const result = createSubscription({ categories, sources, language });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      subscription = result.subscription;
+    }
 
-// Simple API key middleware for admin routes
-const authenticateAdmin = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const validApiKey = process.env.ADMIN_API_KEY;
-  
-  if (!validApiKey) {
-    return res.status(501).json({ error: 'Admin API not configured' });
-  }
-  
-  if (!apiKey || apiKey !== validApiKey) {
-    return res.status(401).json({ error: 'Invalid API key' });
+    // EventSource sends Last-Event-ID when it reconnects; lastEventId lets a
+    // client pick up from a position it already knows on its first connection
+    await openStream(req, res, {
+      subscription,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+      client: req.apiClient
+    });
+  } catch (error) {
+    logger.error('News stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open news stream' });
+    }
   }
-  
-  next();
-};
+});
 
-// POST /api/admin/trigger-fetch - Manual news fetch trigger
-router.post('/trigger-fetch', authenticateAdmin, async (req, res) => {
+// GET /api/news/tags/trending - Tags gaining the most coverage in recent articles
+router.get('/tags/trending', async (req, res) => {
   try {
-    logger.info('🔄 Manual news fetch triggered by admin');
-    const newNews = await newsService.fetchAllNews();
-    
+    const { error, value } = trendingTagsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { data, window, stale } = await tagService.getTrending(value);
+
     res.json({
       success: true,
-      message: 'News fetch completed',
-      newArticles: newNews.length,
+      data,
+      window,
+      ...(stale && { stale: true }),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Admin trigger fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch news' });
+    if (sendReadError(res, error)) return;
+    logger.error('Trending tags API error:', error);
+    res.status(500).json({ error: 'Failed to fetch trending tags' });
   }
 });
 
-// GET /api/admin/stats - Get system statistics
-router.get('/stats', authenticateAdmin, async (req, res) => {
+// GET /api/news/tags/:tag - Get news tagged with an entity or keyword
+router.get('/tags/:tag', async (req, res) => {
   try {
-    const totalNews = await News.countDocuments({ isActive: true });
-    const todayNews = await News.countDocuments({
-      isActive: true,
-      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-    });
-    
-    const categoryStats = await News.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-    
-    const sourceStats = await News.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$source', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const slug = slugifyTag(req.params.tag);
+    if (!slug || slug.length > 100) {
+      return res.status(400).json({ error: 'Invalid tag' });
+    }
+
+    const { limit, offset, cursor, lang } = value;
+    const page = await newsService.getNewsByTag(slug, { limit, offset, cursor, language: lang });
+    const tag = page.data.length > 0 && page.data[0].tags.find(item => item.slug === slug);
 
     res.json({
       success: true,
-      stats: {
-        totalActiveNews: totalNews,
-        todayNews: todayNews,
-        categoryBreakdown: categoryStats,
-        sourceBreakdown: sourceStats,
-        uptime: process.uptime(),
-        memoryUsage: process.memoryUsage()
-      },
+      data: page.data,
+      tag: tag ? { slug: tag.slug, name: tag.name, type: tag.type } : { slug },
+      ...(lang && { lang }),
+      pagination: buildPagination(value, page),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Admin stats error:', error);
-    res.status(500).json({ error: 'Failed to get statistics' });
+    if (sendReadError(res, error)) return;
+    logger.error('Tagged news API error:', error);
+    res.status(500).json({ error: 'Failed to fetch tagged news' });
   }
 });
 
-// DELETE /api/admin/cache/clear - Clear Redis cache
-router.delete('/cache/clear', authenticateAdmin, async (req, res) => {
+// Parameterised routes go last so they never shadow the fixed paths above
+// GET /api/news/:category - Get news by category
+router.get('/:category', async (req, res) => {
   try {
-    const redis = getRedisClient();
-    if (redis) {
-      await redis.flushDb();
-      logger.info('🧹 Redis cache cleared by admin');
-      res.json({ success: true, message: 'Cache cleared successfully' });
-    } else {
-      res.status(503).json({ error: 'Redis not available' });
+    const { category } = req.params;
+    const { error, value } = querySchema.validate({ ...req.query, category });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
-  } catch (error) {
-    logger.error('Admin cache clear error:', error);
-    res.status(500).json({ error: 'Failed to clear cache' });
-  }
-});
 
-// POST /api/admin/news/:id/deactivate - Deactivate specific news item
-router.post('/news/:id/deactivate', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const news = await News.findByIdAndUpdate(
-      id,
-      { isActive: false },
-      { new: true }
-    );
+    const { limit, offset, cursor, count, lang } = value;
+    const page = await newsService.getNewsByCategory(category, { limit, offset, cursor, count, language: lang });
     
-    if (!news) {
-      return res.status(404).json({ error: 'News item not found' });
-    }
-    
-    logger.info(`📰 News item deactivated by admin: ${id}`);
-    res.json({ success: true, message: 'News item deactivated', data: news });
+    res.json({
+      success: true,
+      data: page.data,
+      category,
+      ...(lang && { lang }),
+      ...(page.stale && { stale: true }),
+      pagination: buildPagination(value, page),
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Admin deactivate news error:', error);
-    res.status(500).json({ error: 'Failed to deactivate news item' });
+    if (sendReadError(res, error)) return;
+    logger.error('Category news API error:', error);
+    res.status(500).json({ error: 'Failed to fetch category news' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,237 @@
+const os = require('os');
+const ApiClient = require('../models/ApiClient');
+const { getRedisClient, redisKey } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+// Fixed one-minute window per client; usage is counted in the same round trip
+const RATE_SCRIPT = `
+local count = redis.call('incr', KEYS[1])
+if count == 1 then redis.call('pexpire', KEYS[1], ARGV[1]) end
+local ttl = redis.call('pttl', KEYS[1])
+local field = 'requests'
+if count > tonumber(ARGV[2]) then field = 'rateLimited' end
+redis.call('hincrby', KEYS[2], field, 1)
+redis.call('expire', KEYS[2], ARGV[3])
+return {count, ttl}`;
+
+// Connections are members of a sorted set scored by when they expire, so a
+// crashed instance's connections drop out once they stop being refreshed
+const ACQUIRE_SCRIPT = `
+redis.call('zremrangebyscore', KEYS[1], '-inf', ARGV[1])
+local field = 'connections'
+local acquired = 0
+if redis.call('zcard', KEYS[1]) < tonumber(ARGV[2]) then
+  redis.call('zadd', KEYS[1], ARGV[3], ARGV[4])
+  redis.call('pexpire', KEYS[1], ARGV[5])
+  acquired = 1
+else
+  field = 'connectionsRejected'
+end
+redis.call('hincrby', KEYS[2], field, 1)
+redis.call('expire', KEYS[2], ARGV[6])
+return acquired`;
+
+const RATE_WINDOW_MS = 60 * 1000;
+const USAGE_TTL_SECONDS = 31 * 24 * 60 * 60;
+const USAGE_FIELDS = ['requests', 'rateLimited', 'connections', 'connectionsRejected'];
+
+const usageKey = (clientId, date) => redisKey('clients', clientId, 'usage', date.toISOString().slice(0, 10));
+
+class ApiClientService {
+  constructor() {
+    // Off unless enabled, so clients that predate API keys keep working
+    this.authRequired = process.env.API_AUTH_REQUIRED === 'true';
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    // Key hash -> { client, expiresAt }; changes made by admins reach other
+    // instances once their entry expires. Expired entries are still used while
+    // MongoDB is unavailable.
+    this.cache = new Map();
+    this.cacheTtlMs = parseInt(process.env.API_CLIENT_CACHE_TTL_MS, 10) || 30 * 1000;
+    this.connectionTtlMs = parseInt(process.env.API_CLIENT_CONNECTION_TTL_MS, 10) || 90 * 1000;
+    // Connection member -> client ID, for the connections held by this instance
+    this.connections = new Map();
+    this.refreshTimer = null;
+    this.lastUsedWrites = new Map();
+  }
+
+  // Resolves to the enabled client owning the key, or null
+  async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith('nk_') || key.length > 100) return null;
+
+    const keyHash = ApiClient.hashKey(key);
+    const cached = this.cache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) return cached.client;
+
+    let client;
+    try {
+      client = await ApiClient.findOne({ keyHash, isEnabled: true }).lean();
+    } catch (error) {
+      // Keep serving a known key with its last good record until MongoDB is back
+      if (!cached) throw error;
+      logger.debug(`Using cached API client record while lookup fails: ${error.message}`);
+      return cached.client;
+    }
+
+    if (this.cache.size >= 1000) this.cache.clear();
+    this.cache.set(keyHash, {
+      client: client && {
+        id: client._id.toString(),
+        name: client.name,
+        requestsPerMinute: client.requestsPerMinute,
+        maxConnections: client.maxConnections
+      },
+      expiresAt: Date.now() + this.cacheTtlMs
+    });
+
+    return this.cache.get(keyHash).client;
+  }
+
+  // Drop this instance's cached copy after an admin change
+  forget(clientId) {
+    this.cache.forEach((entry, keyHash) => {
+      if (entry.client && entry.client.id === clientId) this.cache.delete(keyHash);
+    });
+  }
+
+  // Count a request against the client's per-minute limit. Without Redis
+  // there is nothing shared to count against, so requests are let through.
+  async consumeRequest(client) {
+    this.touch(client);
+
+    const redis = getRedisClient();
+    if (!redis) return { allowed: true, limit: client.requestsPerMinute, remaining: null, resetMs: null };
+
+    try {
+      const [count, ttl] = await redis.eval(RATE_SCRIPT, {
+        keys: [redisKey('clients', client.id, 'rate'), usageKey(client.id, new Date())],
+        arguments: [String(RATE_WINDOW_MS), String(client.requestsPerMinute), String(USAGE_TTL_SECONDS)]
+      });
+
+      return {
+        allowed: count <= client.requestsPerMinute,
+        limit: client.requestsPerMinute,
+        remaining: Math.max(0, client.requestsPerMinute - count),
+        resetMs: ttl > 0 ? ttl : RATE_WINDOW_MS
+      };
+    } catch (error) {
+      logger.error(`Rate limit check failed for API client ${client.name}: ${error.message}`);
+      return { allowed: true, limit: client.requestsPerMinute, remaining: null, resetMs: null };
+    }
+  }
+
+  // Take one of the client's connection slots for a socket. Resolves to false
+  // when the client already has maxConnections open across all instances.
+  async acquireConnection(client, socketId) {
+    const redis = getRedisClient();
+    if (!redis) return true;
+
+    const member = `${this.instanceId}:${socketId}`;
+    const now = Date.now();
+
+    try {
+      const acquired = await redis.eval(ACQUIRE_SCRIPT, {
+        keys: [redisKey('clients', client.id, 'connections'), usageKey(client.id, new Date(now))],
+        arguments: [
+          String(now),
+          String(client.maxConnections),
+          String(now + this.connectionTtlMs),
+          member,
+          String(this.connectionTtlMs),
+          String(USAGE_TTL_SECONDS)
+        ]
+      });
+      if (!acquired) return false;
+    } catch (error) {
+      logger.error(`Connection check failed for API client ${client.name}: ${error.message}`);
+      return true;
+    }
+
+    this.connections.set(member, client.id);
+    this.startRefreshing();
+    return true;
+  }
+
+  async releaseConnection(client, socketId) {
+    const member = `${this.instanceId}:${socketId}`;
+    if (!this.connections.delete(member)) return;
+    if (this.connections.size === 0) this.stopRefreshing();
+
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.zRem(redisKey('clients', client.id, 'connections'), member);
+    } catch (error) {
+      logger.error(`Connection release failed for API client ${client.name}: ${error.message}`);
+    }
+  }
+
+  startRefreshing() {
+    if (this.refreshTimer) return;
+    this.refreshTimer = setInterval(() => this.refreshConnections(), this.connectionTtlMs / 3);
+    this.refreshTimer.unref();
+  }
+
+  stopRefreshing() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // Push back the expiry of the connections this instance still holds
+  async refreshConnections() {
+    const redis = getRedisClient();
+    if (!redis || this.connections.size === 0) return;
+
+    const expiresAt = Date.now() + this.connectionTtlMs;
+    const multi = redis.multi();
+    this.connections.forEach((clientId, member) => {
+      const key = redisKey('clients', clientId, 'connections');
+      multi.zAdd(key, { score: expiresAt, value: member });
+      multi.pExpire(key, this.connectionTtlMs);
+    });
+
+    try {
+      await multi.exec();
+    } catch (error) {
+      logger.error(`API client connection refresh failed: ${error.message}`);
+    }
+  }
+
+  // Record lastUsedAt at most once a minute per client and instance
+  touch(client) {
+    const now = Date.now();
+    if (now - (this.lastUsedWrites.get(client.id) || 0) < RATE_WINDOW_MS) return;
+    this.lastUsedWrites.set(client.id, now);
+
+    ApiClient.updateOne({ _id: client.id }, { lastUsedAt: new Date(now) }).catch((error) => {
+      logger.debug(`lastUsedAt not recorded for API client ${client.name}: ${error.message}`);
+    });
+  }
+
+  // Daily usage counters for the last `days` days (UTC), newest first, plus
+  // the connections open right now across all instances
+  async getUsage(clientId, days = 7) {
+    const redis = getRedisClient();
+    if (!redis) return null;
+
+    const today = Date.now();
+    const dates = Array.from({ length: days }, (_, index) => new Date(today - index * 24 * 60 * 60 * 1000));
+
+    const [activeConnections, windowCount, ...counters] = await Promise.all([
+      redis.zCount(redisKey('clients', clientId, 'connections'), today, '+inf'),
+      redis.get(redisKey('clients', clientId, 'rate')),
+      ...dates.map(date => redis.hGetAll(usageKey(clientId, date)))
+    ]);
+
+    return {
+      activeConnections,
+      requestsThisMinute: parseInt(windowCount, 10) || 0,
+      daily: dates.map((date, index) => ({
+        date: date.toISOString().slice(0, 10),
+        ...Object.fromEntries(USAGE_FIELDS.map(field => [field, parseInt(counters[index][field], 10) || 0]))
+      }))
+    };
+  }
+}
+
+module.exports = new ApiClientService();
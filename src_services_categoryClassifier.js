@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const News = require('../models/News');
+const ClassifierModel = require('../models/ClassifierModel');
+const { contentTokens } = require('../utils/text');
+const { trainCentroids, scoreCentroids } = require('../utils/tfidf');
+const { logger } = require('../utils/logger');
+
+const MODEL_NAME = 'category';
+
+// Used until a model has been trained, and for categories the model has too
+// few articles for
+const SEED_KEYWORDS = {
+  politics: ['election', 'parliament', 'minister', 'government', 'senate', 'congress', 'vote', 'campaign', 'policy', 'president', 'mp', 'labour', 'conservative', 'democrat', 'republican'],
+  technology: ['technology', 'tech', 'software', 'app', 'ai', 'artificial', 'intelligence', 'startup', 'google', 'apple', 'microsoft', 'cyber', 'chip', 'smartphone', 'internet', 'data'],
+  business: ['business', 'market', 'markets', 'shares', 'stocks', 'economy', 'inflation', 'bank', 'profit', 'company', 'investors', 'trade', 'ceo', 'earnings', 'interest'],
+  sports: ['football', 'cricket', 'tennis', 'match', 'league', 'cup', 'goal', 'olympic', 'championship', 'coach', 'player', 'season', 'win', 'tournament', 'rugby'],
+  entertainment: ['film', 'movie', 'music', 'album', 'singer', 'actor', 'actress', 'tv', 'series', 'festival', 'celebrity', 'netflix', 'hollywood', 'star', 'concert'],
+  health: ['health', 'hospital', 'nhs', 'doctors', 'patients', 'disease', 'vaccine', 'cancer', 'covid', 'virus', 'medical', 'mental', 'treatment', 'drug'],
+  science: ['science', 'scientists', 'research', 'study', 'space', 'nasa', 'climate', 'species', 'researchers', 'planet', 'physics', 'fossil', 'universe'],
+  world: ['war', 'ukraine', 'russia', 'china', 'israel', 'gaza', 'un', 'refugees', 'border', 'troops', 'military', 'ceasefire', 'foreign', 'embassy']
+};
+
+class CategoryClassifier {
+  constructor() {
+    this.categories = News.schema.path('category').enumValues;
+    // Below this the classifier's answer is not used at all
+    this.minConfidence = parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE) || 0.35;
+    // At or above this it overrides a category taken from the feed
+    this.overrideConfidence = parseFloat(process.env.CLASSIFIER_OVERRIDE_CONFIDENCE) || 0.6;
+    this.reloadIntervalMs = parseInt(process.env.CLASSIFIER_RELOAD_MS, 10) || 10 * 60 * 1000;
+    // Admin corrections count this many times in training
+    this.correctionWeight = 3;
+
+    this.model = null;
+    this.loadedAt = 0;
+    this.seedKeywords = new Map(Object.entries(SEED_KEYWORDS).map(([category, words]) => [category, new Set(words)]));
+  }
+
+  // Title words count twice: they say most about the topic
+  tokensFor({ title, summary }) {
+    const titleTokens = contentTokens(title);
+    return [...titleTokens, ...titleTokens, ...contentTokens(summary)];
+  }
+
+  // Load the trained model, again once reloadIntervalMs has passed so
+  // retraining reaches running instances
+  async load({ force = false } = {}) {
+    if (!force && Date.now() - this.loadedAt < this.reloadIntervalMs) return this.model;
+    this.loadedAt = Date.now();
+
+    try {
+      const model = await ClassifierModel.findOne({ name: MODEL_NAME }).lean();
+      if (model && (!this.model || model.trainedAt > this.model.trainedAt)) {
+        model.idfMap = new Map(Object.entries(model.idf));
+        this.model = model;
+        logger.info(`🏷️ Category model loaded (trained ${model.trainedAt.toISOString()} on ${model.documentCount} articles)`);
+      }
+    } catch (error) {
+      logger.error(`Category model load error: ${error.message}`);
+    }
+    return this.model;
+  }
+
+  // { category, confidence, secondary, method } or null when nothing matched.
+  // confidence is the best category's share of the total score.
+  classify(item) {
+    const tokens = this.tokensFor(item);
+    if (tokens.length === 0) return null;
+
+    const scores = new Map();
+    let method = 'keywords';
+    if (this.model) {
+      scoreCentroids(this.model, tokens).forEach(({ label, score }) => scores.set(label, score));
+      method = 'model';
+    }
+
+    // Keyword hits stand in for categories the model does not know, scored as
+    // the cosine similarity of the token list with the keyword list so they
+    // compare with the model's scores
+    const keywordHits = this.countKeywords(tokens);
+    keywordHits.forEach((hits, category) => {
+      if (!scores.has(category)) {
+        scores.set(category, hits / Math.sqrt(tokens.length * this.seedKeywords.get(category).size));
+      }
+    });
+
+    const ranked = [...scores.entries()]
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) return null;
+
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const [category, best] = ranked[0];
+    let confidence = best / total;
+    // One or two keyword hits are weak evidence however lopsided the share
+    if (!this.model?.centroids[category]) {
+      confidence *= Math.min(1, keywordHits.get(category) / 3);
+      method = 'keywords';
+    }
+
+    const secondary = ranked
+      .slice(1, 3)
+      .filter(([, score]) => score >= best * 0.6 && score / total >= 0.2)
+      .map(([label]) => label);
+
+    return { category, confidence: Math.round(confidence * 1000) / 1000, secondary, method };
+  }
+
+  countKeywords(tokens) {
+    const hits = new Map();
+    tokens.forEach((token) => {
+      this.seedKeywords.forEach((words, category) => {
+        if (words.has(token)) hits.set(category, (hits.get(category) || 0) + 1);
+      });
+    });
+    return hits;
+  }
+
+  // Combine the feed's category with the classifier's. A specific feed
+  // category stands unless the classifier confidently disagrees; items from
+  // general feeds take the classifier's category when it is confident enough.
+  // Returns the fields to store: category, categorySource, categoryConfidence
+  // and secondaryCategories.
+  reconcile(item) {
+    const hint = this.categories.includes(item.category) && item.category !== 'general' ? item.category : null;
+    const result = this.classify(item);
+
+    const fromFeed = (confidence, secondary = []) => ({
+      category: hint || 'general',
+      categorySource: 'feed',
+      categoryConfidence: confidence,
+      secondaryCategories: secondary
+    });
+
+    if (!result || result.confidence < this.minConfidence) {
+      return fromFeed(null);
+    }
+    if (result.category === hint) {
+      return fromFeed(result.confidence, result.secondary);
+    }
+    if (!hint || result.confidence >= this.overrideConfidence) {
+      return {
+        category: result.category,
+        categorySource: 'classifier',
+        categoryConfidence: result.confidence,
+        // The feed's opinion is kept as a secondary category
+        secondaryCategories: [...new Set([...(hint ? [hint] : []), ...result.secondary])].slice(0, 3)
+      };
+    }
+    return fromFeed(null, [result.category]);
+  }
+
+  async classifyAll(newsItems) {
+    await this.load();
+    return newsItems.map(item => ({ ...item, ...this.reconcile(item) }));
+  }
+
+  // Train on stored articles labelled by their feed or corrected by an admin;
+  // the classifier's own labels are never learned from. One in ten articles
+  // is held out to measure accuracy before the final model is trained on all.
+  async train({ limit = 20000, days = 90 } = {}) {
+    const articles = await News.find({
+      category: { $ne: 'general' },
+      categorySource: { $ne: 'classifier' },
+      publishedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    })
+      .sort({ publishedAt: -1 })
+      .limit(limit)
+      .select({ title: 1, summary: 1, category: 1, categorySource: 1 })
+      .lean();
+
+    const documents = articles.map(article => ({
+      id: article._id.toString(),
+      tokens: this.tokensFor(article),
+      label: article.category,
+      weight: article.categorySource === 'admin' ? this.correctionWeight : 1
+    }));
+
+    const isHeldOut = document => crypto.createHash('md5').update(document.id).digest()[0] % 10 === 0;
+    let accuracy = null;
+    if (documents.length >= 100) {
+      const evaluation = trainCentroids(documents.filter(document => !isHeldOut(document)));
+      const heldOut = documents.filter(isHeldOut);
+      const correct = heldOut.filter((document) => {
+        const [best] = scoreCentroids(evaluation, document.tokens);
+        return best && best.score > 0 && best.label === document.label;
+      }).length;
+      accuracy = heldOut.length > 0 ? Math.round((correct / heldOut.length) * 1000) / 1000 : null;
+    }
+
+    const { idf, centroids, sampleCounts } = trainCentroids(documents);
+    const model = await ClassifierModel.findOneAndUpdate(
+      { name: MODEL_NAME },
+      { trainedAt: new Date(), documentCount: documents.length, sampleCounts, accuracy, idf, centroids },
+      { upsert: true, new: true }
+    ).lean();
+
+    logger.info(`🏷️ Category model trained on ${documents.length} articles${accuracy === null ? '' : `, held-out accuracy ${accuracy}`}`);
+    this.loadedAt = 0;
+    return {
+      trainedAt: model.trainedAt,
+      documentCount: model.documentCount,
+      sampleCounts,
+      accuracy,
+      categories: Object.keys(centroids)
+    };
+  }
+
+  getInfo() {
+    if (!this.model) return { trained: false };
+
+    return {
+      trained: true,
+      trainedAt: this.model.trainedAt,
+      documentCount: this.model.documentCount,
+      sampleCounts: this.model.sampleCounts,
+      accuracy: this.model.accuracy,
+      categories: Object.keys(this.model.centroids),
+      vocabularySize: this.model.idfMap.size
+    };
+  }
+}
+
+module.exports = new CategoryClassifier();
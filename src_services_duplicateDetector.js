@@ -0,0 +1,94 @@
+const News = require('../models/News');
+const { MinHasher } = require('../utils/minhash');
+const { logger } = require('../utils/logger');
+
+// Near-duplicate lookup via MinHash signatures and an LSH bucket index stored
+// on each News document, so every item is only compared with the few articles
+// that share a bucket instead of the whole batch.
+class DuplicateDetector {
+  constructor() {
+    this.minHasher = new MinHasher();
+    this.threshold = parseFloat(process.env.DEDUP_SIMILARITY_THRESHOLD) || 0.6;
+    this.lookbackMs = (parseInt(process.env.DEDUP_LOOKBACK_DAYS, 10) || 3) * 24 * 60 * 60 * 1000;
+  }
+
+  fingerprint(item) {
+    const minhash = this.minHasher.signature(`${item.title} ${item.summary || ''}`);
+    return { minhash, lshBuckets: this.minHasher.buckets(minhash) };
+  }
+
+  // Bucket index over recent stored articles that share a bucket with the batch
+  async loadHistory(items) {
+    const index = new Map();
+    const buckets = [...new Set(items.flatMap(item => item.lshBuckets))];
+    if (buckets.length === 0) return index;
+
+    try {
+      const history = await News.find({
+        lshBuckets: { $in: buckets },
+        publishedAt: { $gte: new Date(Date.now() - this.lookbackMs) }
+      })
+        .select('+minhash +lshBuckets title source url story')
+        .lean();
+
+      history.forEach(doc => this.addToIndex(index, doc));
+    } catch (error) {
+      logger.error('Error loading duplicate history:', error.message);
+    }
+
+    return index;
+  }
+
+  addToIndex(index, doc) {
+    doc.lshBuckets.forEach(bucket => {
+      if (!index.has(bucket)) index.set(bucket, []);
+      index.get(bucket).push(doc);
+    });
+  }
+
+  findBestMatch(item, index) {
+    const seen = new Set();
+    let best = { match: null, score: 0 };
+
+    for (const bucket of item.lshBuckets) {
+      for (const candidate of index.get(bucket) || []) {
+        if (seen.has(candidate) || candidate.url === item.url) continue;
+        seen.add(candidate);
+
+        const score = this.minHasher.similarity(item.minhash, candidate.minhash);
+        if (score > best.score) {
+          best = { match: candidate, score };
+        }
+      }
+    }
+
+    return best.score >= this.threshold ? best : { match: null, score: 0 };
+  }
+
+  // Adds minhash/lshBuckets to every item, drops items that near-duplicate an
+  // article from the same source (in this batch or the lookback window) and
+  // records the best cross-source match score in contentSimilarity.
+  async filter(items) {
+    items.forEach(item => Object.assign(item, this.fingerprint(item)));
+
+    const index = await this.loadHistory(items);
+    const kept = [];
+
+    for (const item of items) {
+      const { match, score } = this.findBestMatch(item, index);
+
+      if (match && match.source === item.source) {
+        logger.debug(`Duplicate detected: "${item.title}" similar to "${match.title}" (${score.toFixed(2)})`);
+        continue;
+      }
+
+      item.contentSimilarity = score;
+      kept.push(item);
+      this.addToIndex(index, item);
+    }
+
+    return kept;
+  }
+}
+
+module.exports = new DuplicateDetector();
@@ -0,0 +1,327 @@
+const axios = require('axios');
+const News = require('../models/News');
+const newsCache = require('./newsCache');
+const tagService = require('./tagService');
+const { extractArticle } = require('./extraction/extractor');
+const { getDomainRules } = require('./extraction/rules');
+const { isDatabaseConnected } = require('../config/database');
+const { FetchLimiter } = require('../utils/fetchLimiter');
+const { BlockedAddressError, assertPublicUrl, publicHttpAgent, publicHttpsAgent } = require('../utils/addressGuard');
+const { segmentForSearch } = require('../utils/language');
+const { logger } = require('../utils/logger');
+
+class ExtractionError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.retryable = retryable;
+  }
+}
+
+// Downloads saved articles and fills in their content, author, canonical URL
+// and lead image. The queue lives on the News documents themselves
+// (`extraction`), so jobs survive restarts and every instance can work on it:
+// a job is claimed atomically and a claim that is not finished within
+// lockMs (the instance died) is picked up again.
+class ExtractionQueue {
+  constructor() {
+    this.enabled = process.env.EXTRACTION_ENABLED !== 'false';
+    this.concurrency = parseInt(process.env.EXTRACTION_CONCURRENCY, 10) || 2;
+    this.maxAttempts = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS, 10) || 4;
+    this.retryBaseMs = parseInt(process.env.EXTRACTION_RETRY_BASE_MS, 10) || 60 * 1000;
+    this.pollIntervalMs = parseInt(process.env.EXTRACTION_POLL_MS, 10) || 30 * 1000;
+    this.timeoutMs = parseInt(process.env.EXTRACTION_TIMEOUT_MS, 10) || 15 * 1000;
+    this.maxBytes = parseInt(process.env.EXTRACTION_MAX_BYTES, 10) || 2 * 1024 * 1024;
+    this.maxRedirects = 5;
+    this.lockMs = this.timeoutMs * 4;
+
+    // Article pages are fetched one at a time per host, politely spaced
+    this.limiter = new FetchLimiter({
+      concurrency: this.concurrency,
+      perHostConcurrency: 1,
+      perHostSpacingMs: parseInt(process.env.EXTRACTION_HOST_SPACING_MS, 10) || 1000
+    });
+
+    this.timer = null;
+    this.draining = null;
+    this.stopping = false;
+  }
+
+  start() {
+    if (!this.enabled) {
+      logger.info('📄 Content extraction disabled');
+      return;
+    }
+
+    logger.info('📄 Starting content extraction queue');
+    this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+    this.timer.unref();
+    this.drain();
+  }
+
+  // Resolves once the jobs already claimed by this instance have finished
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.draining) {
+      logger.info('⏳ Waiting for running content extractions to finish');
+      await this.draining;
+    }
+  }
+
+  // New articles are pending from the moment they are saved; this only starts
+  // on them now instead of at the next poll
+  enqueue(newsItems) {
+    if (this.enabled && !this.stopping && newsItems.length > 0) {
+      this.drain();
+    }
+  }
+
+  drain() {
+    if (!this.draining) {
+      this.draining = this.run()
+        .catch(error => logger.error('Content extraction error:', error))
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+    return this.draining;
+  }
+
+  async run() {
+    while (!this.stopping && isDatabaseConnected()) {
+      const jobs = await this.claim(this.concurrency);
+      if (jobs.length === 0) return;
+
+      await Promise.all(jobs.map(job => this.limiter.schedule(job.url, () => this.process(job))));
+    }
+  }
+
+  async claim(count) {
+    const jobs = [];
+
+    for (let i = 0; i < count; i++) {
+      const now = new Date();
+      const job = await News.findOneAndUpdate(
+        {
+          isActive: true,
+          $or: [
+            { 'extraction.status': 'pending', 'extraction.nextAttemptAt': { $lte: now } },
+            { 'extraction.status': 'processing', 'extraction.lockedUntil': { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            'extraction.status': 'processing',
+            'extraction.lockedUntil': new Date(now.getTime() + this.lockMs)
+          },
+          $inc: { 'extraction.attempts': 1 }
+        },
+        {
+          new: true,
+          sort: { 'extraction.nextAttemptAt': 1 },
+          projection: { url: 1, image: 1, title: 1, summary: 1, extraction: 1 }
+        }
+      ).lean();
+
+      if (!job) break;
+      jobs.push(job);
+    }
+
+    return jobs;
+  }
+
+  async process(job) {
+    const rules = getDomainRules(job.url);
+    if (rules.skip) {
+      await this.finish(job, { 'extraction.status': 'skipped' });
+      return;
+    }
+
+    try {
+      const html = await this.download(job.url);
+      const article = extractArticle(html, { url: job.url, rules });
+      if (!article.content) {
+        throw new ExtractionError('No article text found');
+      }
+
+      const segmentedContent = segmentForSearch(article.content);
+      const news = await this.finish(job, {
+        content: article.content,
+        ...(segmentedContent && { 'segmentedText.content': segmentedContent }),
+        // The full text names more than the feed snippet did
+        tags: tagService.tagsFor({ title: job.title, summary: job.summary, content: article.content }),
+        author: article.author,
+        canonicalUrl: article.canonicalUrl,
+        // Feed images are kept; the page's lead image only fills a gap
+        ...(!job.image && article.image && { image: article.image }),
+        'extraction.status': 'done',
+        'extraction.extractedAt': new Date(),
+        'extraction.lastError': null
+      });
+
+      // Keep cached copies in step with the stored article
+      if (news) {
+        await newsCache.addArticle(news);
+      }
+      logger.debug(`📄 Extracted ${article.content.length} characters from ${job.url}`);
+    } catch (error) {
+      await this.fail(job, error);
+    }
+  }
+
+  // Article URLs come from third-party feeds, so every hop of a redirect chain
+  // is checked before it is requested and private or loopback addresses are
+  // refused, including ones a host resolves to at connection time
+  async download(url) {
+    let target = url;
+
+    for (let redirects = 0; ; redirects++) {
+      try {
+        await assertPublicUrl(target);
+      } catch (error) {
+        // Lookup failures are network errors; refused and malformed URLs are not
+        const retryable = !(error instanceof BlockedAddressError || error instanceof TypeError);
+        throw new ExtractionError(error.message, { retryable });
+      }
+
+      const response = await this.request(target);
+      if (response.status < 300) {
+        const contentType = response.headers['content-type'] || '';
+        if (!/html/i.test(contentType)) {
+          throw new ExtractionError(`Not an HTML page (${contentType || 'no content type'})`);
+        }
+        return response.data;
+      }
+
+      if (!response.headers.location) {
+        throw new ExtractionError(`HTTP ${response.status} without a Location header`);
+      }
+      if (redirects >= this.maxRedirects) {
+        throw new ExtractionError(`More than ${this.maxRedirects} redirects`);
+      }
+      target = new URL(response.headers.location, target).href;
+    }
+  }
+
+  async request(url) {
+    try {
+      return await axios.get(url, {
+        timeout: this.timeoutMs,
+        maxContentLength: this.maxBytes,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        responseType: 'text',
+        headers: { Accept: 'text/html,application/xhtml+xml' },
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent,
+        // Connect directly, so the address check applies to the article's host
+        proxy: false
+      });
+    } catch (error) {
+      if (error.cause instanceof BlockedAddressError) {
+        throw new ExtractionError(error.cause.message);
+      }
+      // The page will not have shrunk by the next attempt
+      if (error.code === axios.AxiosError.ERR_BAD_RESPONSE && /maxContentLength/.test(error.message)) {
+        throw new ExtractionError(`Page larger than ${this.maxBytes} bytes`);
+      }
+
+      const status = error.response?.status;
+      // Rate limits, server errors and network failures are worth another try
+      const retryable = !status || status === 408 || status === 429 || status >= 500;
+      throw new ExtractionError(status ? `HTTP ${status}` : error.message, { retryable });
+    }
+  }
+
+  async fail(job, error) {
+    const retryable = error instanceof ExtractionError ? error.retryable : false;
+    const { attempts } = job.extraction;
+
+    if (retryable && attempts < this.maxAttempts) {
+      const delay = this.retryBaseMs * 2 ** (attempts - 1);
+      await this.finish(job, {
+        'extraction.status': 'pending',
+        'extraction.nextAttemptAt': new Date(Date.now() + delay),
+        'extraction.lastError': error.message
+      });
+      logger.debug(`Content extraction of ${job.url} failed (${error.message}), retrying in ${delay}ms`);
+      return;
+    }
+
+    await this.finish(job, {
+      'extraction.status': 'failed',
+      'extraction.lastError': error.message
+    });
+    logger.warn(`📄 Content extraction gave up on ${job.url} after ${attempts} attempt(s): ${error.message}`);
+  }
+
+  // Record the outcome, provided this instance still holds the claim
+  async finish(job, update) {
+    try {
+      return await News.findOneAndUpdate(
+        { _id: job._id, 'extraction.status': 'processing', 'extraction.lockedUntil': job.extraction.lockedUntil },
+        { $set: { ...update, 'extraction.lockedUntil': null } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error(`Error saving content extraction of ${job.url}:`, error.message);
+      return null;
+    }
+  }
+
+  // Job counts by status, for the admin API
+  async getStats() {
+    const counts = await News.aggregate([
+      { $match: { extraction: { $exists: true } } },
+      { $group: { _id: '$extraction.status', count: { $sum: 1 } } }
+    ]);
+    const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    const recentFailures = await News.find({ 'extraction.status': 'failed' })
+      .sort({ updatedAt: -1 })
+      .limit(20)
+      .select({ title: 1, url: 1, source: 1, extraction: 1 })
+      .lean();
+
+    return {
+      enabled: this.enabled,
+      pending: byStatus.pending || 0,
+      processing: byStatus.processing || 0,
+      done: byStatus.done || 0,
+      failed: byStatus.failed || 0,
+      skipped: byStatus.skipped || 0,
+      recentFailures: recentFailures.map(news => ({
+        id: news._id,
+        title: news.title,
+        url: news.url,
+        source: news.source,
+        attempts: news.extraction.attempts,
+        lastError: news.extraction.lastError
+      }))
+    };
+  }
+
+  // Put failed jobs (or the given articles) back in the queue with fresh attempts
+  async retry(ids) {
+    const filter = ids ? { _id: { $in: ids } } : { 'extraction.status': 'failed' };
+    const result = await News.updateMany(
+      { ...filter, isActive: true, 'extraction.status': { $ne: 'processing' } },
+      {
+        $set: {
+          'extraction.status': 'pending',
+          'extraction.attempts': 0,
+          'extraction.nextAttemptAt': new Date(),
+          'extraction.lockedUntil': null
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) this.drain();
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new ExtractionQueue();
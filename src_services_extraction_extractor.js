@@ -0,0 +1,204 @@
+const cheerio = require('cheerio');
+
+// Boilerplate removed before looking for the article body
+const NOISE_SELECTORS = [
+  'script:not([type="application/ld+json"])', 'style', 'noscript', 'template', 'iframe', 'svg', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', '[role="navigation"]', '[role="banner"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]', '.advert', '.ad', '.ads', '.share', '.social', '.newsletter', '.related'
+];
+
+const BLOCK_SELECTOR = 'p, h2, h3, h4, blockquote, li, pre';
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BlogPosting'];
+
+// Shorter bodies are treated as not found: usually a teaser, consent wall or error page
+const MIN_CONTENT_LENGTH = 200;
+// Paragraphs shorter than this do not count towards a container's score
+const MIN_PARAGRAPH_LENGTH = 40;
+
+const cleanText = text => (text || '').replace(/\s+/g, ' ').trim();
+
+const toAbsoluteUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// schema.org Article objects from the page's JSON-LD blocks
+const readJsonLd = ($) => {
+  const articles = [];
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text());
+    } catch (error) {
+      return;
+    }
+
+    const queue = [].concat(data);
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== 'object') continue;
+      if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+
+      const types = [].concat(item['@type'] || []);
+      if (types.some(type => ARTICLE_TYPES.includes(type))) articles.push(item);
+    }
+  });
+
+  return articles[0] || null;
+};
+
+const jsonLdAuthor = (article) => {
+  const authors = [].concat(article?.author || [])
+    .map(author => (typeof author === 'string' ? author : author?.name))
+    .map(cleanText)
+    .filter(Boolean);
+  return authors.length > 0 ? authors.join(', ') : null;
+};
+
+const jsonLdImage = (article) => {
+  const [image] = [].concat(article?.image || []);
+  return typeof image === 'string' ? image : image?.url || null;
+};
+
+const blocksText = ($, elements) => elements
+  .map((index, element) => cleanText($(element).text()))
+  .get()
+  .filter(Boolean)
+  .join('\n\n');
+
+// The element whose paragraphs hold the most text. Each paragraph scores its
+// length for its parent and half of it for its grandparent, so the article
+// container wins over both single paragraphs and the whole page.
+const findMainContainer = ($) => {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (element) scores.set(element, (scores.get(element) || 0) + score);
+  };
+
+  $('p').each((index, element) => {
+    const length = cleanText($(element).text()).length;
+    if (length < MIN_PARAGRAPH_LENGTH) return;
+
+    const parent = element.parent;
+    addScore(parent, length);
+    addScore(parent?.parent, length / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    if (element.type === 'tag' && score > bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  });
+
+  return best ? $(best) : null;
+};
+
+const extractBody = ($, rules, article) => {
+  if (rules.contentSelector) {
+    const elements = $(rules.contentSelector);
+    // Rule selectors may match the paragraphs themselves or their containers
+    const text = elements.is(BLOCK_SELECTOR)
+      ? blocksText($, elements)
+      : blocksText($, elements.find(BLOCK_SELECTOR));
+    if (text.length >= MIN_CONTENT_LENGTH) return { text, container: elements.first() };
+  }
+
+  const articleBody = typeof article?.articleBody === 'string' ? article.articleBody.trim() : '';
+  if (articleBody.length >= MIN_CONTENT_LENGTH) {
+    return { text: articleBody.replace(/\n{3,}/g, '\n\n'), container: null };
+  }
+
+  const container = findMainContainer($);
+  if (!container) return { text: '', container: null };
+
+  const blocks = container.find(BLOCK_SELECTOR).filter((index, element) => {
+    // Skip list items and quotes already covered by an enclosing block
+    return $(element).parents(BLOCK_SELECTOR).length === 0;
+  });
+  return { text: blocksText($, blocks), container };
+};
+
+const stripBy = name => name.replace(/^by\s+/i, '');
+
+const extractAuthor = ($, rules, article) => {
+  if (rules.authorSelector) {
+    const names = $(rules.authorSelector)
+      .map((index, element) => stripBy(cleanText($(element).text())))
+      .get()
+      .filter(Boolean);
+    if (names.length > 0) return [...new Set(names)].join(', ');
+  }
+
+  const fromJsonLd = jsonLdAuthor(article);
+  if (fromJsonLd) return fromJsonLd;
+
+  const candidates = [
+    $('meta[name="author"]').attr('content'),
+    // Often a profile URL rather than a name
+    $('meta[property="article:author"]').attr('content'),
+    $('meta[name="byl"]').attr('content'),
+    $('[rel="author"]').first().text(),
+    $('[itemprop="author"] [itemprop="name"]').first().text()
+  ];
+
+  const author = candidates
+    .map(cleanText)
+    .find(candidate => candidate && !/^https?:\/\//i.test(candidate));
+  return author ? stripBy(author) : null;
+};
+
+const extractCanonicalUrl = ($, url) => toAbsoluteUrl($('link[rel="canonical"]').attr('href'), url)
+  || toAbsoluteUrl($('meta[property="og:url"]').attr('content'), url);
+
+const extractImage = ($, url, article, container) => {
+  const candidates = [
+    $('meta[property="og:image"]').attr('content'),
+    $('meta[name="twitter:image"]').attr('content'),
+    $('meta[name="twitter:image:src"]').attr('content'),
+    jsonLdImage(article),
+    container && container.find('img[src]').first().attr('src')
+  ];
+
+  for (const candidate of candidates) {
+    const image = toAbsoluteUrl(candidate, url);
+    if (image) return image;
+  }
+  return null;
+};
+
+// Pull the readable article out of a downloaded page. Pure: takes the HTML and
+// the URL it was fetched from (for resolving relative links) plus the domain's
+// rules (see ./rules), and returns { content, author, canonicalUrl, image }.
+// content is null when no article body long enough was found.
+const extractArticle = (html, { url, rules = {} } = {}) => {
+  const $ = cheerio.load(html);
+  const article = readJsonLd($);
+
+  // Bylines often sit in the article's <header>, so read the metadata before
+  // stripping boilerplate
+  const author = extractAuthor($, rules, article);
+  const canonicalUrl = extractCanonicalUrl($, url);
+
+  $(NOISE_SELECTORS.join(', ')).remove();
+  (rules.removeSelectors || []).forEach(selector => $(selector).remove());
+
+  const { text, container } = extractBody($, rules, article);
+
+  return {
+    content: text.length >= MIN_CONTENT_LENGTH ? text : null,
+    author,
+    canonicalUrl,
+    image: extractImage($, url, article, container)
+  };
+};
+
+module.exports = { extractArticle };
@@ -0,0 +1,47 @@
+// Per-domain overrides for article extraction, keyed by hostname. A rule also
+// applies to the host's subdomains (www.bbc.co.uk uses 'bbc.co.uk').
+//   contentSelector  elements holding the article body, in reading order
+//   removeSelectors  extra boilerplate to strip before extracting
+//   authorSelector   element whose text is the byline
+//   skip             never download this domain's pages (paywalls, video pages)
+// Domains without a rule fall back to the generic heuristics in ./extractor.
+const bbc = {
+  contentSelector: 'article [data-component="text-block"]',
+  removeSelectors: ['[data-component="links-block"]', '[data-component="related-internet-links"]'],
+  authorSelector: '[data-testid="byline-name"], [class*="TextContributorName"]'
+};
+
+const domainRules = {
+  'bbc.co.uk': bbc,
+  'bbc.com': bbc,
+  'theguardian.com': {
+    contentSelector: '[data-gu-name="body"] p, #maincontent p',
+    removeSelectors: ['[data-spacefinder-role="supporting"]', 'gu-island'],
+    authorSelector: 'a[rel="author"]'
+  },
+  'reuters.com': {
+    contentSelector: '[data-testid^="paragraph-"]',
+    authorSelector: 'a[rel="author"], [class*="author-name"]'
+  },
+  'nytimes.com': {
+    skip: true
+  }
+};
+
+const getDomainRules = (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return {};
+  }
+
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const rule = domainRules[labels.slice(i).join('.')];
+    if (rule) return rule;
+  }
+  return {};
+};
+
+module.exports = { getDomainRules, domainRules };
@@ -0,0 +1,121 @@
+const FeedState = require('../models/FeedState');
+const { logger } = require('../utils/logger');
+
+class FeedStateService {
+  constructor() {
+    // A feed with no successful fetch for this long is reported as stale
+    this.staleAfterMs = parseInt(process.env.FEED_STALE_AFTER_MS, 10) || 60 * 60 * 1000;
+  }
+
+  async getValidators(url) {
+    try {
+      const state = await FeedState.findOne({ url }, { etag: 1, lastModified: 1 }).lean();
+      return state ? { etag: state.etag, lastModified: state.lastModified } : null;
+    } catch (error) {
+      logger.error(`Error loading feed state for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  async recordSuccess(url, { source, category, status, validators, itemCount }) {
+    const now = new Date();
+    const update = {
+      source,
+      category,
+      lastStatus: status,
+      lastCheckedAt: now,
+      lastSuccessAt: now,
+      circuit: null
+    };
+
+    // A 304 carries no body, so the validators and item count stay as they were
+    if (status !== 304) {
+      update.etag = validators?.etag || null;
+      update.lastModified = validators?.lastModified || null;
+      update.itemCount = itemCount;
+    }
+
+    await this.save(url, update);
+  }
+
+  // `circuit` is the feed's breaker state after this failure
+  async recordFailure(url, { source, category, error, circuit }) {
+    const now = new Date();
+    await this.save(url, {
+      source,
+      category,
+      lastStatus: error.response?.status || null,
+      lastCheckedAt: now,
+      lastErrorAt: now,
+      lastError: error.message,
+      ...(circuit && {
+        circuit: {
+          state: circuit.state,
+          consecutiveFailures: circuit.consecutiveFailures,
+          openedAt: circuit.openedAt,
+          lastFailureAt: circuit.lastFailureAt,
+          nextAttemptAt: new Date(circuit.nextAttemptAt)
+        }
+      })
+    });
+  }
+
+  // Saved circuits in the shape CircuitBreaker#load takes, so whichever
+  // instance holds the scheduler lease continues the backoff of the last one
+  async loadCircuits() {
+    const states = await FeedState.find({ circuit: { $ne: null } })
+      .select({ url: 1, source: 1, category: 1, lastError: 1, circuit: 1 })
+      .lean();
+
+    return states.map(({ url, source, category, lastError, circuit }) => ({
+      key: url,
+      ...circuit,
+      lastError,
+      nextAttemptAt: circuit.nextAttemptAt ? circuit.nextAttemptAt.getTime() : 0,
+      meta: { source, category }
+    }));
+  }
+
+  // Circuits of every feed as CircuitBreaker#list reports them
+  async listCircuits({ openOnly = false } = {}) {
+    const circuits = await this.loadCircuits();
+    return circuits
+      .filter(circuit => !openOnly || circuit.state !== 'closed')
+      .map(({ meta, nextAttemptAt, ...circuit }) => ({
+        ...circuit,
+        ...meta,
+        nextAttemptAt: new Date(nextAttemptAt)
+      }));
+  }
+
+  // Close one feed's circuit, or every circuit without a url. Returns how many were reset.
+  async resetCircuits(url) {
+    const filter = { circuit: { $ne: null } };
+    if (url) filter.url = url;
+
+    const result = await FeedState.updateMany(filter, { $set: { circuit: null } });
+    return result.modifiedCount;
+  }
+
+  async save(url, update) {
+    try {
+      await FeedState.updateOne({ url }, { $set: update }, { upsert: true });
+    } catch (error) {
+      logger.error(`Error saving feed state for ${url}:`, error.message);
+    }
+  }
+
+  async listStates(filter = {}) {
+    const states = await FeedState.find(filter).sort({ source: 1, category: 1 }).lean();
+    const now = Date.now();
+
+    return states.map(state => ({
+      ...state,
+      isStale: !state.lastSuccessAt || now - state.lastSuccessAt.getTime() > this.staleAfterMs,
+      isFailing: Boolean(state.lastErrorAt) &&
+        (!state.lastSuccessAt || state.lastErrorAt > state.lastSuccessAt)
+    }));
+  }
+}
+
+module.exports = new FeedStateService();
@@ -0,0 +1,22 @@
+const RSSFetcher = require('./rssFetcher');
+
+// rss-parser already understands Atom documents; entries only differ in where
+// the summary and dates live.
+class AtomFetcher extends RSSFetcher {
+  constructor() {
+    super();
+    this.name = 'atom';
+  }
+
+  mapItem(item) {
+    return {
+      title: item.title,
+      summary: item.summary || item.contentSnippet || item.content,
+      url: item.link || item.id,
+      publishedAt: item.isoDate || item.pubDate,
+      image: this.extractImage(item)
+    };
+  }
+}
+
+module.exports = AtomFetcher;
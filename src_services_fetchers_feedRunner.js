@@ -0,0 +1,75 @@
+const feedStateService = require('../feedStateService');
+const { FetchBudgetExceededError } = require('../../utils/fetchLimiter');
+const { logger } = require('../../utils/logger');
+
+// Fetch one URL with the validators from its last response and record the
+// outcome. `fetchFeed` resolves to { status, notModified, validators, items }.
+const fetchWithState = async (url, category, source, fetchFeed, breaker) => {
+  const validators = await feedStateService.getValidators(url);
+
+  try {
+    const result = await fetchFeed(url, category, validators);
+    const items = result.notModified ? [] : result.items;
+
+    await feedStateService.recordSuccess(url, {
+      source: source.name,
+      category,
+      status: result.status,
+      validators: result.validators,
+      itemCount: items.length
+    });
+
+    const recovered = breaker?.recordSuccess(url);
+    if (recovered?.state === 'open' || recovered?.state === 'half-open') {
+      logger.info(`✅ Circuit closed for ${source.name} ${category} after ${recovered.consecutiveFailures} failures`);
+    }
+
+    if (result.notModified) {
+      logger.debug(`${source.name} ${category} not modified since last fetch`);
+    }
+
+    return items;
+  } catch (error) {
+    const circuit = breaker?.recordFailure(url, error, { source: source.name, category });
+    await feedStateService.recordFailure(url, { source: source.name, category, error, circuit });
+
+    if (circuit?.state === 'open') {
+      logger.warn(`🚫 Circuit open for ${source.name} ${category} after ${circuit.consecutiveFailures} failures, next attempt at ${new Date(circuit.nextAttemptAt).toISOString()}`);
+    }
+    throw error;
+  }
+};
+
+// Fetch every category URL of a source through the cycle's limiter (when one is
+// given) and flatten the results. URLs still in their backoff window on
+// `context.breaker` are skipped. A failing URL never fails the whole source.
+const runFeeds = async (source, context, fetchFeed) => {
+  const schedule = context?.limiter
+    ? (url, task) => context.limiter.schedule(url, task)
+    : (url, task) => task();
+  const breaker = context?.breaker;
+
+  const results = await Promise.all(
+    Object.entries(source.urls || {}).map(async ([category, url]) => {
+      if (breaker && !breaker.canAttempt(url)) {
+        logger.debug(`Skipping ${source.name} ${category}: backing off after failures`);
+        return [];
+      }
+
+      try {
+        return await schedule(url, () => fetchWithState(url, category, source, fetchFeed, breaker));
+      } catch (error) {
+        if (error instanceof FetchBudgetExceededError) {
+          logger.warn(`Skipped ${source.name} ${category}: ${error.message}`);
+        } else {
+          logger.error(`Error fetching ${source.name} feed ${url}:`, error.message);
+        }
+        return [];
+      }
+    })
+  );
+
+  return results.flat();
+};
+
+module.exports = { runFeeds };
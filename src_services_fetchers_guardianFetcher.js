@@ -0,0 +1,55 @@
+const { buildNewsItem } = require('./normalize');
+const { runFeeds } = require('./feedRunner');
+const { fetchIfModified } = require('./http');
+const { logger } = require('../../utils/logger');
+
+class GuardianFetcher {
+  constructor() {
+    this.name = 'guardian';
+    this.pageSize = 10;
+  }
+
+  async fetch(source, context) {
+    if (!source.apiKey) {
+      logger.warn(`${source.name} API key not provided`);
+      return [];
+    }
+
+    return runFeeds(source, context, (url, category, validators) =>
+      this.fetchFeed(url, category, source, validators));
+  }
+
+  async fetchFeed(url, category, source, validators) {
+    const response = await fetchIfModified(url, {
+      validators,
+      params: {
+        'api-key': source.apiKey,
+        'page-size': this.pageSize,
+        'show-fields': 'thumbnail,trailText,bodyText',
+        'order-by': 'newest'
+      }
+    });
+
+    if (response.notModified) {
+      return { ...response, items: [] };
+    }
+
+    const items = response.data.response.results
+      .map(article => buildNewsItem(this.mapItem(article), source, category))
+      .filter(Boolean);
+
+    return { ...response, items };
+  }
+
+  mapItem(article) {
+    return {
+      title: article.webTitle,
+      summary: article.fields?.trailText || article.fields?.bodyText?.substring(0, 300),
+      url: article.webUrl,
+      publishedAt: article.webPublicationDate,
+      image: article.fields?.thumbnail
+    };
+  }
+}
+
+module.exports = GuardianFetcher;
@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+// GET a feed, sending the validators from the previous response so unchanged
+// feeds answer 304 Not Modified instead of a full body.
+const fetchIfModified = async (url, { validators, headers, ...options } = {}) => {
+  const requestHeaders = { ...headers };
+  if (validators?.etag) {
+    requestHeaders['If-None-Match'] = validators.etag;
+  }
+  if (validators?.lastModified) {
+    requestHeaders['If-Modified-Since'] = validators.lastModified;
+  }
+
+  const response = await axios.get(url, {
+    timeout: 10000,
+    ...options,
+    headers: requestHeaders,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  return {
+    status: response.status,
+    notModified: response.status === 304,
+    data: response.data,
+    validators: {
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    }
+  };
+};
+
+module.exports = { fetchIfModified };
@@ -0,0 +1,42 @@
+const RSSFetcher = require('./rssFetcher');
+const AtomFetcher = require('./atomFetcher');
+const JSONFeedFetcher = require('./jsonFeedFetcher');
+const GuardianFetcher = require('./guardianFetcher');
+
+// Adapter name -> object exposing `fetch(sourceConfig, context)` that resolves to
+// normalized news items (see ./normalize). `context.limiter` is the cycle's
+// FetchLimiter; adapters route each request through it and report
+// { status, notModified, validators, items } per URL (see ./feedRunner) so
+// conditional-GET state is tracked for them.
+// New providers register here.
+const fetchers = new Map();
+
+const registerFetcher = (fetcher) => {
+  if (!fetcher?.name || typeof fetcher.fetch !== 'function') {
+    throw new Error('Fetcher adapters need a name and a fetch(sourceConfig, context) method');
+  }
+  fetchers.set(fetcher.name, fetcher);
+};
+
+const getFetcher = (name) => fetchers.get(name) || null;
+
+const listFetchers = () => Array.from(fetchers.keys());
+
+// Adapter for sources registered without one. Registries seeded before
+// adapters existed only have a type, and the Guardian is the only API source.
+const defaultAdapters = {
+  rss: 'rss',
+  api: 'guardian'
+};
+
+const resolveFetcher = (source) => getFetcher(source.adapter || defaultAdapters[source.type] || source.type);
+
+[new RSSFetcher(), new AtomFetcher(), new JSONFeedFetcher(), new GuardianFetcher()]
+  .forEach(registerFetcher);
+
+module.exports = {
+  registerFetcher,
+  getFetcher,
+  listFetchers,
+  resolveFetcher
+};
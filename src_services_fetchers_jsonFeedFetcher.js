@@ -0,0 +1,47 @@
+const { buildNewsItem } = require('./normalize');
+const { runFeeds } = require('./feedRunner');
+const { fetchIfModified } = require('./http');
+
+// https://www.jsonfeed.org/version/1.1/
+class JSONFeedFetcher {
+  constructor() {
+    this.name = 'jsonfeed';
+    this.itemsPerFeed = 10;
+  }
+
+  fetch(source, context) {
+    return runFeeds(source, context, (url, category, validators) =>
+      this.fetchFeed(url, category, source, validators));
+  }
+
+  async fetchFeed(url, category, source, validators) {
+    const response = await fetchIfModified(url, {
+      validators,
+      headers: { Accept: 'application/feed+json, application/json' }
+    });
+
+    if (response.notModified) {
+      return { ...response, items: [] };
+    }
+
+    const feedItems = Array.isArray(response.data?.items) ? response.data.items : [];
+    const items = feedItems
+      .slice(0, this.itemsPerFeed)
+      .map(item => buildNewsItem(this.mapItem(item), source, category))
+      .filter(Boolean);
+
+    return { ...response, items };
+  }
+
+  mapItem(item) {
+    return {
+      title: item.title,
+      summary: item.summary || item.content_text || item.content_html,
+      url: item.url || item.external_url,
+      publishedAt: item.date_published || item.date_modified,
+      image: item.image || item.banner_image
+    };
+  }
+}
+
+module.exports = JSONFeedFetcher;
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const News = require('../../models/News');
+const { sanitizeText, stripTrackingParams } = require('../../utils/sanitize');
+const { detectLanguage } = require('../../utils/language');
+
+const titleMaxLength = News.schema.path('title').options.maxlength;
+const summaryMaxLength = News.schema.path('summary').options.maxlength;
+const categories = News.schema.path('category').enumValues;
+
+const generateHash = (content) => {
+  return crypto.createHash('md5').update(content).digest('hex');
+};
+
+const mapCategory = (category) => {
+  const categoryMap = {
+    'tech': 'technology',
+    'sci': 'science',
+    'entertainment': 'entertainment',
+    'sport': 'sports'
+  };
+  const mapped = categoryMap[category] || category;
+  // Anything outside the schema enum would fail validation on save; the
+  // category classifier can still place it
+  return categories.includes(mapped) ? mapped : 'general';
+};
+
+const isValidNewsItem = (item) => {
+  return item.title &&
+         item.summary &&
+         item.source &&
+         item.url &&
+         item.publishedAt &&
+         item.title.length > 10 &&
+         item.summary.length > 20;
+};
+
+// Build a normalized news item from adapter-specific fields, or null if it is
+// unusable. Every adapter goes through here, so this is where feed markup is
+// reduced to plain text: HTML is stripped, entities decoded, whitespace
+// collapsed and text cut to the model's maxlength, and tracking parameters are
+// removed from the URL before it is hashed. The language is detected from the
+// cleaned text.
+const buildNewsItem = ({ title, summary, url, publishedAt, image }, source, category) => {
+  const cleanTitle = sanitizeText(title, titleMaxLength);
+  const cleanSummary = sanitizeText(summary, summaryMaxLength);
+  const cleanUrl = stripTrackingParams(url);
+
+  const newsItem = {
+    title: cleanTitle,
+    summary: cleanSummary,
+    source: source.name,
+    url: cleanUrl,
+    publishedAt: new Date(publishedAt),
+    category: mapCategory(category),
+    // Sources can publish in more than one language; theirs is the fallback
+    language: detectLanguage(`${cleanTitle} ${cleanSummary}`, source.language || 'en'),
+    image: image || null,
+    sourceHash: generateHash(cleanTitle + (cleanUrl || ''))
+  };
+
+  if (isNaN(newsItem.publishedAt.getTime())) {
+    newsItem.publishedAt = null;
+  }
+
+  return isValidNewsItem(newsItem) ? newsItem : null;
+};
+
+module.exports = {
+  generateHash,
+  mapCategory,
+  isValidNewsItem,
+  buildNewsItem
+};
@@ -0,0 +1,67 @@
+const RSSParser = require('rss-parser');
+
+const { buildNewsItem } = require('./normalize');
+const { runFeeds } = require('./feedRunner');
+const { fetchIfModified } = require('./http');
+
+class RSSFetcher {
+  constructor() {
+    this.name = 'rss';
+    this.itemsPerFeed = 10;
+    this.parser = new RSSParser({
+      customFields: {
+        item: ['media:content', 'media:thumbnail', 'enclosure']
+      }
+    });
+  }
+
+  fetch(source, context) {
+    return runFeeds(source, context, (url, category, validators) =>
+      this.fetchFeed(url, category, source, validators));
+  }
+
+  async fetchFeed(url, category, source, validators) {
+    const response = await fetchIfModified(url, {
+      validators,
+      responseType: 'text',
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+    });
+
+    if (response.notModified) {
+      return { ...response, items: [] };
+    }
+
+    const feed = await this.parser.parseString(response.data);
+    const items = feed.items
+      .slice(0, this.itemsPerFeed)
+      .map(item => buildNewsItem(this.mapItem(item), source, category))
+      .filter(Boolean);
+
+    return { ...response, items };
+  }
+
+  mapItem(item) {
+    return {
+      title: item.title,
+      summary: item.contentSnippet || item.content || item.description,
+      url: item.link,
+      publishedAt: item.pubDate || item.isoDate,
+      image: this.extractImage(item)
+    };
+  }
+
+  extractImage(item) {
+    if (item['media:content']) {
+      return item['media:content'].$.url;
+    }
+    if (item['media:thumbnail']) {
+      return item['media:thumbnail'].$.url;
+    }
+    if (item.enclosure && item.enclosure.type?.startsWith('image/')) {
+      return item.enclosure.url;
+    }
+    return null;
+  }
+}
+
+module.exports = RSSFetcher;
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const { WatchError } = require('redis');
+
+const News = require('../models/News');
+const { getRedisClient, redisKey, keyPrefix } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Fields listings never read from Mongo (select: false), kept out of cached items too
+const INTERNAL_FIELDS = Object.keys(News.schema.paths)
+  .filter(path => News.schema.path(path).options.select === false);
+
+// Redis cache for the latest and per-category listings. Each listing is a
+// sorted set of article ids scored by publishedAt, with the articles stored
+// under their own keys. Listings are only ever rebuilt in full from Mongo
+// (read-through, one rebuild at a time across instances) and then kept current
+// by adding new articles and removing deactivated ones, so a cached page
+// always matches what the database would return.
+class NewsCache {
+  constructor() {
+    this.itemTtl = 3600;
+    this.indexTtl = 3600;
+    this.indexSize = 100;
+    // Listing totals are dropped whenever the listing changes; the TTL only
+    // bounds how long a count missed by that can live
+    this.countTtl = 300;
+    this.lockTtlMs = 5000;
+    // Rebuilds start over when the listing changes while Mongo is read
+    this.rebuildAttempts = 3;
+    this.pendingRebuilds = new Map();
+    this.metrics = {};
+  }
+
+  itemKey(id) {
+    return redisKey('news', id);
+  }
+
+  indexKey(category) {
+    return category ? redisKey('news', 'index', 'category', category) : redisKey('news', 'index', 'latest');
+  }
+
+  // Present while a listing holds every active article, not just the newest ones
+  completeKey(indexKey) {
+    return `${indexKey}:complete`;
+  }
+
+  // Number of active articles in the listing, including those beyond indexSize
+  countKey(indexKey) {
+    return `${indexKey}:count`;
+  }
+
+  // Bumped on every change to a listing. A rebuild WATCHes it while it reads
+  // Mongo, so a change in between fails the write instead of being overwritten.
+  versionKey(indexKey) {
+    return `${indexKey}:version`;
+  }
+
+  record(category, outcome) {
+    const namespace = category ? `category:${category}` : 'latest';
+    if (!this.metrics[namespace]) {
+      this.metrics[namespace] = { hits: 0, misses: 0, rebuilds: 0, errors: 0 };
+    }
+    this.metrics[namespace][outcome]++;
+  }
+
+  getMetrics() {
+    const totals = { hits: 0, misses: 0, rebuilds: 0, errors: 0 };
+    Object.values(this.metrics).forEach(entry => {
+      Object.keys(totals).forEach(key => { totals[key] += entry[key]; });
+    });
+
+    const lookups = totals.hits + totals.misses;
+    return {
+      ...totals,
+      hitRate: lookups > 0 ? totals.hits / lookups : null,
+      byListing: this.metrics
+    };
+  }
+
+  resetMetrics() {
+    this.metrics = {};
+  }
+
+  // Cached items have the shape of the lean documents listings read from Mongo,
+  // whether they come from a save (a hydrated document) or a rebuild. Virtuals
+  // such as `age` are left out: they would go stale for the item TTL.
+  toCached(news) {
+    const doc = typeof news.toObject === 'function' ? news.toObject({ virtuals: false }) : { ...news };
+    INTERNAL_FIELDS.forEach(field => { delete doc[field]; });
+    return doc;
+  }
+
+  serialize(news) {
+    return JSON.stringify(this.toCached(news));
+  }
+
+  // Store a newly saved article and add it to listings that are already cached.
+  // Listings that are not cached are left for the next read to rebuild in full.
+  async addArticle(news) {
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      const id = news._id.toString();
+      await redis.set(this.itemKey(id), this.serialize(news), { EX: this.itemTtl });
+
+      for (const key of [this.indexKey(), this.indexKey(news.category)]) {
+        await redis.multi()
+          .incr(this.versionKey(key))
+          .expire(this.versionKey(key), this.indexTtl)
+          .del(this.countKey(key))
+          .exec();
+        if (await redis.exists(key)) {
+          await redis.zAdd(key, { score: new Date(news.publishedAt).getTime(), value: id });
+          const trimmed = await redis.zRemRangeByRank(key, 0, -(this.indexSize + 1));
+          if (trimmed > 0) {
+            await redis.del(this.completeKey(key));
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Redis caching error:', error.message);
+    }
+  }
+
+  // A full page of cached articles, or null when the cache cannot answer it.
+  // With stale set (MongoDB is down) it returns whatever part of the page is
+  // still cached instead of reporting a miss.
+  async getPage(category, offset, limit, { stale = false } = {}) {
+    const redis = getRedisClient();
+    if (!redis || (!stale && offset + limit > this.indexSize)) return null;
+
+    try {
+      const key = this.indexKey(category);
+      const ids = await redis.zRange(key, offset, offset + limit - 1, { REV: true });
+      if (!stale && ids.length < limit && !(await redis.exists(this.completeKey(key)))) {
+        this.record(category, 'misses');
+        return null;
+      }
+      if (ids.length === 0) {
+        if (stale && !(await redis.exists(key))) return null;
+        this.record(category, 'hits');
+        return [];
+      }
+
+      const cached = await redis.mGet(ids.map(id => this.itemKey(id)));
+      if (!stale && cached.some(item => !item)) {
+        this.record(category, 'misses');
+        return null;
+      }
+
+      this.record(category, 'hits');
+      return cached.filter(Boolean).map(item => JSON.parse(item));
+    } catch (error) {
+      this.record(category, 'errors');
+      logger.error('Redis cache read error:', error.message);
+      return null;
+    }
+  }
+
+  // Cached total of a listing, or null when it has to be counted again
+  async getCount(category) {
+    const redis = getRedisClient();
+    if (!redis) return null;
+
+    try {
+      const count = await redis.get(this.countKey(this.indexKey(category)));
+      return count === null ? null : parseInt(count, 10);
+    } catch (error) {
+      logger.error('Redis cache read error:', error.message);
+      return null;
+    }
+  }
+
+  async setCount(category, count) {
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.set(this.countKey(this.indexKey(category)), String(count), { EX: this.countTtl });
+    } catch (error) {
+      logger.error('Redis caching error:', error.message);
+    }
+  }
+
+  // Reload a listing from Mongo. Concurrent callers in this process share one
+  // rebuild and a Redis lock keeps other instances from rebuilding the same
+  // listing at once; callers that lose the lock get null and read Mongo directly.
+  rebuildIndex(category) {
+    const key = this.indexKey(category);
+    if (!this.pendingRebuilds.has(key)) {
+      const rebuild = this.runRebuild(category)
+        .finally(() => this.pendingRebuilds.delete(key));
+      this.pendingRebuilds.set(key, rebuild);
+    }
+    return this.pendingRebuilds.get(key);
+  }
+
+  async runRebuild(category) {
+    const redis = getRedisClient();
+    if (!redis) return null;
+
+    const key = this.indexKey(category);
+    const lockKey = `${key}:lock`;
+    const token = crypto.randomUUID();
+
+    try {
+      const locked = await redis.set(lockKey, token, { NX: true, PX: this.lockTtlMs });
+      if (!locked) return null;
+
+      try {
+        for (let attempt = 1; attempt <= this.rebuildAttempts; attempt++) {
+          const docs = await this.loadIndex(redis, category);
+          if (docs) {
+            this.record(category, 'rebuilds');
+            return docs;
+          }
+        }
+
+        logger.warn(`⚠️ ${key} kept changing during rebuild, the next read tries again`);
+        return null;
+      } finally {
+        await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] });
+      }
+    } catch (error) {
+      this.record(category, 'errors');
+      logger.error(`Redis cache rebuild error for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  // Read a listing from Mongo and store it in one transaction. Returns null
+  // when an article was added to or dropped from the listing in the meantime.
+  loadIndex(redis, category) {
+    const key = this.indexKey(category);
+    const filter = { isActive: true };
+    if (category) filter.category = category;
+
+    return redis.executeIsolated(async (isolated) => {
+      await isolated.watch(this.versionKey(key));
+
+      let docs;
+      try {
+        docs = (await News.find(filter)
+          .sort({ publishedAt: -1, _id: -1 })
+          .limit(this.indexSize)
+          .lean())
+          .map(doc => this.toCached(doc));
+      } catch (error) {
+        await isolated.unwatch();
+        throw error;
+      }
+
+      const multi = isolated.multi().del(key).del(this.completeKey(key));
+      if (docs.length > 0) {
+        multi.zAdd(key, docs.map(doc => ({ score: doc.publishedAt.getTime(), value: doc._id.toString() })));
+        docs.forEach(doc => multi.set(this.itemKey(doc._id), this.serialize(doc), { EX: this.itemTtl }));
+        multi.expire(key, this.indexTtl);
+      }
+      if (docs.length < this.indexSize) {
+        multi.set(this.completeKey(key), '1', { EX: this.indexTtl });
+      }
+
+      try {
+        await multi.exec();
+      } catch (error) {
+        if (error instanceof WatchError) return null;
+        throw error;
+      }
+      return docs;
+    });
+  }
+
+  // Drop articles (e.g. deactivated ones) from every listing and the item cache
+  async invalidateArticles(articles) {
+    const redis = getRedisClient();
+    if (!redis || articles.length === 0) return;
+
+    try {
+      const multi = redis.multi();
+      articles.forEach(({ _id, category }) => {
+        const id = _id.toString();
+        multi.del(this.itemKey(id));
+        [this.indexKey(), ...(category ? [this.indexKey(category)] : [])].forEach((key) => {
+          multi.zRem(key, id);
+          multi.incr(this.versionKey(key));
+          multi.expire(this.versionKey(key), this.indexTtl);
+          multi.del(this.countKey(key));
+        });
+      });
+      await multi.exec();
+    } catch (error) {
+      logger.error('Redis cache invalidation error:', error.message);
+    }
+  }
+
+  // Keys under this service's prefix matching a glob pattern, with their type and TTL
+  async inspectKeys(pattern = '*', limit = 100) {
+    const redis = getRedisClient();
+    const keys = [];
+    for await (const key of redis.scanIterator({ MATCH: `${keyPrefix}${pattern}`, COUNT: 100 })) {
+      keys.push(key);
+      if (keys.length >= limit) break;
+    }
+    if (keys.length === 0) return [];
+
+    const multi = redis.multi();
+    keys.forEach(key => multi.type(key).ttl(key));
+    const replies = await multi.exec();
+
+    return keys.map((key, index) => ({
+      key: key.slice(keyPrefix.length),
+      type: replies[index * 2],
+      ttl: replies[index * 2 + 1]
+    }));
+  }
+
+  // Delete every key under this service's prefix, leaving the rest of the database alone
+  async clear() {
+    const redis = getRedisClient();
+    let deleted = 0;
+    let batch = [];
+
+    for await (const key of redis.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 500 })) {
+      batch.push(key);
+      if (batch.length >= 500) {
+        deleted += await redis.del(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      deleted += await redis.del(batch);
+    }
+
+    this.pendingRebuilds.clear();
+    return deleted;
+  }
+
+  // Listings that hold the article see a missing item on their next read and rebuild
+  async evictArticle(id) {
+    return getRedisClient().del(this.itemKey(id));
+  }
+
+  // Drop a listing (null for latest) so the next read rebuilds it from Mongo
+  async evictListing(category) {
+    const key = this.indexKey(category);
+    return getRedisClient().del([key, this.completeKey(key), this.countKey(key)]);
+  }
+
+  // Rebuild the latest listing and the category listings from Mongo
+  async warm(categories = News.schema.path('category').enumValues) {
+    const results = [];
+    for (const category of [null, ...categories]) {
+      const docs = await this.rebuildIndex(category);
+      results.push({
+        listing: category ? `category:${category}` : 'latest',
+        // null when Redis failed or another instance was already rebuilding it
+        articles: docs ? docs.length : null
+      });
+    }
+    return results;
+  }
+}
+
+module.exports = new NewsCache();
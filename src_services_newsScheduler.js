@@ -1,15 +1,44 @@
 const cron = require('node-cron');
 const newsService = require('./newsService');
+const newsCache = require('./newsCache');
 const { logger } = require('../utils/logger');
+const { isDatabaseConnected } = require('../config/database');
+const { getRedisClient } = require('../config/redis');
+const { RedisLease } = require('../utils/redisLease');
+
+let activeScheduler = null;
 
 class NewsScheduler {
   constructor() {
     this.isRunning = false;
     this.jobs = [];
+    this.initialFetchTimer = null;
+    // Fetches and cleanups in progress, awaited by stop()
+    this.activeTasks = new Set();
+    // Only the instance holding this lease runs the scheduled jobs
+    this.lease = new RedisLease('scheduler', {
+      ttlMs: parseInt(process.env.SCHEDULER_LEASE_TTL_MS, 10) || 30 * 1000,
+      renewIntervalMs: parseInt(process.env.SCHEDULER_LEASE_RENEW_MS, 10) || 10 * 1000
+    });
+  }
+
+  // Without Redis there is nothing to coordinate through, so every instance
+  // runs the jobs (the url index still rejects duplicate inserts)
+  async isLeader() {
+    if (!getRedisClient()) return true;
+    return this.lease.refresh();
+  }
+
+  track(task) {
+    this.activeTasks.add(task);
+    const untrack = () => this.activeTasks.delete(task);
+    task.then(untrack, untrack);
+    return task;
   }
 
   start() {
     logger.info('📅 Starting news scheduler');
+    this.lease.start();
     
     // Fetch news every 5 minutes
     const mainJob = cron.schedule('*/5 * * * *', async () => {
@@ -17,10 +46,19 @@ class NewsScheduler {
         logger.warn('Previous news fetch still running, skipping...');
         return;
       }
+      if (!isDatabaseConnected()) {
+        logger.warn('MongoDB unavailable, skipping news fetch');
+        return;
+      }
+      if (!(await this.isLeader())) {
+        logger.debug('Another instance holds the scheduler lease, skipping news fetch');
+        return;
+      }
       
       this.isRunning = true;
       try {
-        await newsService.fetchAllNews();
+        // Feeds in a backoff window are skipped inside fetchAllNews
+        await this.track(newsService.fetchAllNews());
       } catch (error) {
         logger.error('Scheduled news fetch error:', error);
       } finally {
@@ -32,8 +70,16 @@ class NewsScheduler {
 
     // Cleanup old news daily at 2 AM
     const cleanupJob = cron.schedule('0 2 * * *', async () => {
+      if (!isDatabaseConnected()) {
+        logger.warn('MongoDB unavailable, skipping news cleanup');
+        return;
+      }
+      if (!(await this.isLeader())) {
+        logger.debug('Another instance holds the scheduler lease, skipping news cleanup');
+        return;
+      }
       try {
-        await this.cleanupOldNews();
+        await this.track(this.cleanupOldNews());
       } catch (error) {
         logger.error('News cleanup error:', error);
       }
@@ -47,8 +93,9 @@ class NewsScheduler {
     this.jobs.forEach(job => job.start());
     
     // Initial fetch
-    setTimeout(() => {
-      newsService.fetchAllNews().catch(error => {
+    this.initialFetchTimer = setTimeout(async () => {
+      if (!isDatabaseConnected() || !(await this.isLeader())) return;
+      this.track(newsService.fetchAllNews()).catch(error => {
         logger.error('Initial news fetch error:', error);
       });
     }, 2000);
@@ -56,31 +103,53 @@ class NewsScheduler {
 
   async cleanupOldNews() {
     const News = require('../models/News');
+    const Story = require('../models/Story');
     const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
     
     try {
+      const expired = await News.find({ publishedAt: { $lt: cutoffDate }, isActive: true })
+        .select('_id category')
+        .lean();
       const result = await News.updateMany(
-        { publishedAt: { $lt: cutoffDate } },
+        { _id: { $in: expired.map(news => news._id) } },
+        { isActive: false }
+      );
+      await newsCache.invalidateArticles(expired);
+      const storyResult = await Story.updateMany(
+        { lastPublishedAt: { $lt: cutoffDate }, isActive: true },
         { isActive: false }
       );
       
-      logger.info(`🧹 Cleaned up ${result.modifiedCount} old news articles`);
+      logger.info(`🧹 Cleaned up ${result.modifiedCount} old news articles and ${storyResult.modifiedCount} stories`);
     } catch (error) {
       logger.error('Cleanup error:', error);
     }
   }
 
-  stop() {
+  // Resolves once any fetch or cleanup already running has finished
+  async stop() {
     logger.info('⏹️ Stopping news scheduler');
     this.jobs.forEach(job => job.stop());
     this.jobs = [];
+    clearTimeout(this.initialFetchTimer);
+
+    if (this.activeTasks.size > 0) {
+      logger.info(`⏳ Waiting for ${this.activeTasks.size} running job(s) to finish`);
+      newsService.cancelFetches();
+      await Promise.allSettled([...this.activeTasks]);
+    }
+
+    await this.lease.stop();
   }
 }
 
 const startNewsScheduler = () => {
   const scheduler = new NewsScheduler();
   scheduler.start();
+  activeScheduler = scheduler;
   return scheduler;
 };
 
-module.exports = { startNewsScheduler };
+const getNewsScheduler = () => activeScheduler;
+
+module.exports = { startNewsScheduler, getNewsScheduler };
@@ -1,24 +1,28 @@
 
-const axios = require('axios');
-const RSSParser = require('rss-parser');
-const stringSimilarity = require('string-similarity');
-const crypto = require('crypto');
-
 const News = require('../models/News');
-const { getRedisClient } = require('../config/redis');
+const Source = require('../models/Source');
 const { logger } = require('../utils/logger');
+const { isDatabaseConnected, requireDatabase, DatabaseUnavailableError } = require('../config/database');
 const { broadcastNews } = require('../websocket/socketHandler');
+const { resolveFetcher } = require('./fetchers');
+const feedStateService = require('./feedStateService');
+const storyService = require('./storyService');
+const newsCache = require('./newsCache');
+const extractionQueue = require('./extractionQueue');
+const duplicateDetector = require('./duplicateDetector');
+const categoryClassifier = require('./categoryClassifier');
+const translationService = require('./translationService');
+const tagService = require('./tagService');
+const { FetchLimiter } = require('../utils/fetchLimiter');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { parseSearchQuery, buildTextSearch, buildHighlights } = require('../utils/searchQuery');
+const { paginate, encodeCursor, InvalidCursorError } = require('../utils/pagination');
+const { slugifyTag } = require('../utils/entities');
 
 class NewsService {
   constructor() {
-    this.rssParser = new RSSParser({
-      timeout: 10000,
-      customFields: {
-        item: ['media:content', 'media:thumbnail', 'enclosure']
-      }
-    });
-    
-    this.sources = [
+    // Seeded into the source registry the first time it is empty
+    this.defaultSources = [
       {
         name: 'BBC',
         type: 'rss',
@@ -42,116 +46,137 @@ class NewsService {
       {
         name: 'The Guardian',
         type: 'api',
-        baseUrl: 'https://content.guardianapis.com',
-        apiKey: process.env.GUARDIAN_API_KEY
+        urls: {
+          politics: 'https://content.guardianapis.com/search?section=politics',
+          technology: 'https://content.guardianapis.com/search?section=technology',
+          business: 'https://content.guardianapis.com/search?section=business',
+          world: 'https://content.guardianapis.com/search?section=world'
+        },
+        adapter: 'guardian',
+        credentialsRef: 'GUARDIAN_API_KEY'
       }
     ];
+
+    this.fetchConfig = {
+      concurrency: parseInt(process.env.FETCH_CONCURRENCY, 10) || 8,
+      perHostConcurrency: parseInt(process.env.FETCH_HOST_CONCURRENCY, 10) || 2,
+      perHostSpacingMs: parseInt(process.env.FETCH_HOST_SPACING_MS, 10) || 500,
+      // Keep well under the 5 minute schedule so cycles never overlap
+      cycleBudgetMs: parseInt(process.env.FETCH_CYCLE_BUDGET_MS, 10) || 4 * 60 * 1000
+    };
+
+    // Per-feed health: consecutive failures, backoff windows and open circuits.
+    // Saved with each feed's FeedState and reloaded every cycle (loadFeedHealth).
+    this.feedHealth = new CircuitBreaker({
+      failureThreshold: parseInt(process.env.FEED_FAILURE_THRESHOLD, 10) || 5,
+      baseBackoffMs: parseInt(process.env.FEED_BACKOFF_BASE_MS, 10) || 5 * 60 * 1000,
+      maxBackoffMs: parseInt(process.env.FEED_BACKOFF_MAX_MS, 10) || 6 * 60 * 60 * 1000
+    });
+
+    // Limiters of fetch cycles in progress, so shutdown can cut them short
+    this.activeLimiters = new Set();
+  }
+
+  createFetchLimiter() {
+    const { cycleBudgetMs, ...limits } = this.fetchConfig;
+    return new FetchLimiter({ ...limits, deadline: Date.now() + cycleBudgetMs });
+  }
+
+  // Stop running fetch cycles from starting more requests. They finish the
+  // requests already under way and save what they have.
+  cancelFetches() {
+    this.activeLimiters.forEach(limiter => limiter.expire());
+  }
+
+  // Circuits are saved in FeedState, so the instance running this cycle
+  // picks up the backoff of the one that ran the last, and admin resets
+  async loadFeedHealth() {
+    try {
+      this.feedHealth.load(await feedStateService.loadCircuits());
+    } catch (error) {
+      logger.warn(`Could not load feed circuits, keeping this instance's: ${error.message}`);
+    }
+
+    const openCircuits = this.feedHealth.list({ openOnly: true }).length;
+    if (openCircuits > 0) {
+      logger.info(`⏸️ ${openCircuits} feed circuit(s) open, waiting out their backoff`);
+    }
   }
 
-  async fetchAllNews() {
+  async fetchAllNews({ force = false } = {}) {
     logger.info('🔄 Starting news fetch cycle');
-    const allNews = [];
+    await this.loadFeedHealth();
+    const sources = await this.loadSources({ force });
+    const limiter = this.createFetchLimiter();
+    this.activeLimiters.add(limiter);
 
-    for (const source of this.sources) {
+    const results = await Promise.all(sources.map(async (source) => {
       try {
-        let newsItems = [];
-        
-        if (source.type === 'rss') {
-          newsItems = await this.fetchRSSNews(source);
-        } else if (source.type === 'api' && source.name === 'The Guardian') {
-          newsItems = await this.fetchGuardianNews(source);
+        const fetcher = resolveFetcher(source);
+        if (!fetcher) {
+          logger.warn(`No fetcher adapter for ${source.name} (${source.adapter || source.type})`);
+          return [];
         }
-        
-        allNews.push(...newsItems);
+
+        const newsItems = await fetcher.fetch(source, { limiter, breaker: this.feedHealth });
+        await Source.updateOne({ _id: source._id }, { lastFetchedAt: new Date() });
+        return newsItems;
       } catch (error) {
         logger.error(`Error fetching from ${source.name}:`, error.message);
+        return [];
       }
+    }));
+    this.activeLimiters.delete(limiter);
+
+    if (limiter.isExpired()) {
+      logger.warn(`⏱️ Fetch cycle hit its ${this.fetchConfig.cycleBudgetMs}ms budget, continuing with partial results`);
     }
 
-    const processedNews = await this.processAndDeduplicateNews(allNews);
+    const allNews = results.flat();
+    const uniqueNews = await this.processAndDeduplicateNews(allNews);
+    // Check the feed's category against the article text
+    const classifiedNews = await categoryClassifier.classifyAll(uniqueNews);
+    const taggedNews = tagService.tagAll(classifiedNews);
+    const processedNews = await translationService.translateAll(taggedNews);
     await this.saveNews(processedNews);
     
     logger.info(`✅ Fetch completed: ${processedNews.length} new articles`);
     return processedNews;
   }
 
-  async fetchRSSNews(source) {
-    const newsItems = [];
-    
-    for (const [category, url] of Object.entries(source.urls)) {
-      try {
-        const feed = await this.rssParser.parseURL(url);
-        
-        for (const item of feed.items.slice(0, 10)) { // Limit per feed
-          const newsItem = {
-            title: item.title?.trim(),
-            summary: item.contentSnippet || item.content || item.description || '',
-            source: source.name,
-            url: item.link,
-            publishedAt: new Date(item.pubDate || item.isoDate),
-            category: this.mapCategory(category),
-            image: this.extractImage(item),
-            sourceHash: this.generateHash(item.title + item.link)
-          };
-          
-          if (this.isValidNewsItem(newsItem)) {
-            newsItems.push(newsItem);
-          }
-        }
-      } catch (error) {
-        logger.error(`Error parsing RSS ${url}:`, error.message);
-      }
+  async loadSources({ force = false } = {}) {
+    if (await Source.estimatedDocumentCount() === 0) {
+      await this.seedDefaultSources();
     }
-    
-    return newsItems;
+
+    const sources = await Source.find({ isEnabled: true }).lean();
+    return sources
+      .filter(source => force || this.isSourceDue(source))
+      .map(source => this.resolveSource(source));
   }
 
-  async fetchGuardianNews(source) {
-    if (!source.apiKey) {
-      logger.warn('Guardian API key not provided');
-      return [];
+  async seedDefaultSources() {
+    try {
+      await Source.insertMany(this.defaultSources, { ordered: false });
+      logger.info(`🌱 Seeded ${this.defaultSources.length} default news sources`);
+    } catch (error) {
+      // Another instance may have seeded concurrently
+      if (error.code !== 11000) throw error;
     }
+  }
 
-    const newsItems = [];
-    const categories = ['politics', 'technology', 'business', 'world'];
-
-    for (const category of categories) {
-      try {
-        const response = await axios.get(`${source.baseUrl}/search`, {
-          params: {
-            'api-key': source.apiKey,
-            section: category,
-            'page-size': 10,
-            'show-fields': 'thumbnail,trailText,bodyText',
-            'order-by': 'newest'
-          },
-          timeout: 10000
-        });
-
-        const articles = response.data.response.results;
-        
-        for (const article of articles) {
-          const newsItem = {
-            title: article.webTitle,
-            summary: article.fields?.trailText || article.fields?.bodyText?.substring(0, 300) || '',
-            source: source.name,
-            url: article.webUrl,
-            publishedAt: new Date(article.webPublicationDate),
-            category: this.mapCategory(category),
-            image: article.fields?.thumbnail,
-            sourceHash: this.generateHash(article.webTitle + article.webUrl)
-          };
-          
-          if (this.isValidNewsItem(newsItem)) {
-            newsItems.push(newsItem);
-          }
-        }
-      } catch (error) {
-        logger.error(`Error fetching Guardian ${category}:`, error.message);
-      }
-    }
+  isSourceDue(source) {
+    if (!source.lastFetchedAt) return true;
+    // Allow some slack so a 5 minute interval is not skipped by cron drift
+    const intervalMs = source.fetchInterval * 60 * 1000 - 30 * 1000;
+    return Date.now() - new Date(source.lastFetchedAt).getTime() >= intervalMs;
+  }
 
-    return newsItems;
+  resolveSource(source) {
+    return {
+      ...source,
+      apiKey: source.credentialsRef ? process.env[source.credentialsRef] : undefined
+    };
   }
 
   async processAndDeduplicateNews(newsItems) {
@@ -164,32 +189,11 @@ class NewsService {
     });
 
     const uniqueItems = Array.from(uniqueByHash.values());
-    
-    // Check for similar content using string similarity
-    const processedItems = [];
-    
-    for (const item of uniqueItems) {
-      let isDuplicate = false;
-      
-      for (const existingItem of processedItems) {
-        const titleSimilarity = stringSimilarity.compareTwoStrings(
-          item.title.toLowerCase(),
-          existingItem.title.toLowerCase()
-        );
-        
-        if (titleSimilarity > 0.8) { // 80% similarity threshold
-          isDuplicate = true;
-          logger.debug(`Duplicate detected: "${item.title}" similar to "${existingItem.title}"`);
-          break;
-        }
-      }
-      
-      if (!isDuplicate) {
-        processedItems.push(item);
-      }
-    }
 
-    return processedItems;
+    // Drop near-duplicates of articles from the same outlet, in this batch or
+    // recent history. Similar articles from different outlets are kept and
+    // grouped into stories after saving.
+    return duplicateDetector.filter(uniqueItems);
   }
 
   async saveNews(newsItems) {
@@ -209,155 +213,258 @@ class NewsService {
           const news = new News(newsData);
           await news.save();
           savedNews.push(news);
-          
-          // Cache in Redis
-          await this.cacheNews(news);
         }
       } catch (error) {
         logger.error('Error saving news:', error.message);
       }
     }
 
+    // Group with related coverage from other outlets and earlier cycles
+    await storyService.assignStories(savedNews);
+
+    // Cache in Redis
+    for (const news of savedNews) {
+      await newsCache.addArticle(news);
+    }
+
     // Broadcast new news via WebSocket
     if (savedNews.length > 0) {
       broadcastNews(savedNews);
     }
 
+    // Full text, author and lead image are filled in afterwards
+    extractionQueue.enqueue(savedNews);
+
     return savedNews;
   }
 
-  async cacheNews(news) {
+  // Options: { limit, offset, cursor, count, language } - see utils/pagination
+  async getLatestNews({ limit = 20, offset = 0, cursor, count, language } = {}) {
     try {
-      const redis = getRedisClient();
-      if (redis) {
-        // Cache individual news item
-        await redis.setEx(`news:${news._id}`, 3600, JSON.stringify(news));
-        
-        // Add to category cache
-        await redis.lPush(`news:category:${news.category}`, news._id.toString());
-        await redis.expire(`news:category:${news.category}`, 3600);
-        
-        // Add to latest news cache
-        await redis.lPush('news:latest', news._id.toString());
-        await redis.lTrim('news:latest', 0, 99); // Keep latest 100
+      const filter = { isActive: true };
+      if (language) filter.language = language;
+
+      if (!isDatabaseConnected()) {
+        // The cached listings hold every language, so they cannot stand in
+        if (language) throw new DatabaseUnavailableError('News is temporarily unavailable');
+        return await this.getStalePage(null, { limit, offset, cursor });
+      }
+
+      // Offset pages are served from the Redis cache; cursors and language
+      // filters always read Mongo
+      if (!cursor && !language) {
+        const cachedPage = await this.getCachedPage(null, { limit, offset });
+        if (cachedPage) return cachedPage;
       }
+
+      const totals = count === 'cached' && !language ? await this.getListingTotals(null) : undefined;
+      return await paginate(News, filter, { limit, offset, cursor, totals });
     } catch (error) {
-      logger.error('Redis caching error:', error.message);
+      if (!(error instanceof InvalidCursorError || error instanceof DatabaseUnavailableError)) {
+        logger.error('Error getting latest news:', error);
+      }
+      throw error;
     }
   }
 
-  generateHash(content) {
-    return crypto.createHash('md5').update(content).digest('hex');
-  }
+  async getNewsByCategory(category, { limit = 20, offset = 0, cursor, count, language } = {}) {
+    try {
+      const filter = { category, isActive: true };
+      if (language) filter.language = language;
 
-  extractImage(item) {
-    if (item['media:content']) {
-      return item['media:content'].$.url;
-    }
-    if (item['media:thumbnail']) {
-      return item['media:thumbnail'].$.url;
-    }
-    if (item.enclosure && item.enclosure.type?.startsWith('image/')) {
-      return item.enclosure.url;
+      if (!isDatabaseConnected()) {
+        if (language) throw new DatabaseUnavailableError('News is temporarily unavailable');
+        return await this.getStalePage(category, { limit, offset, cursor });
+      }
+
+      if (!cursor && !language) {
+        const cachedPage = await this.getCachedPage(category, { limit, offset });
+        if (cachedPage) return cachedPage;
+      }
+
+      const totals = count === 'cached' && !language ? await this.getListingTotals(category) : undefined;
+      return await paginate(News, filter, { limit, offset, cursor, totals });
+    } catch (error) {
+      if (!(error instanceof InvalidCursorError || error instanceof DatabaseUnavailableError)) {
+        logger.error('Error getting news by category:', error);
+      }
+      throw error;
     }
-    return null;
   }
 
-  mapCategory(category) {
-    const categoryMap = {
-      'tech': 'technology',
-      'sci': 'science',
-      'entertainment': 'entertainment',
-      'sport': 'sports'
+  // A page from the cached listing, rebuilding it from Mongo on a miss. Null
+  // when the page lies beyond the cached listing or Redis cannot serve it.
+  async getCachedPage(category, { limit, offset }) {
+    let data = await newsCache.getPage(category, offset, limit);
+
+    if (!data && offset + limit <= newsCache.indexSize) {
+      const docs = await newsCache.rebuildIndex(category);
+      if (docs && (docs.length >= offset + limit || docs.length < newsCache.indexSize)) {
+        data = docs.slice(offset, offset + limit);
+      }
+    }
+    if (!data) return null;
+
+    const totals = await this.getListingTotals(category);
+
+    const first = data[0];
+    const last = data[data.length - 1];
+    return {
+      data,
+      nextCursor: last && offset + data.length < totals.total ? encodeCursor(last, 'next') : null,
+      prevCursor: first && offset > 0 ? encodeCursor(first, 'prev') : null,
+      ...totals
     };
-    return categoryMap[category] || category;
   }
 
-  isValidNewsItem(item) {
-    return item.title && 
-           item.summary && 
-           item.source && 
-           item.url && 
-           item.publishedAt &&
-           item.title.length > 10 &&
-           item.summary.length > 20;
+  // Total of the latest (null) or a category listing. It is cached in Redis next
+  // to the listing and dropped whenever the listing changes, so it is counted
+  // once per change instead of on every request and every instance agrees.
+  async getListingTotals(category) {
+    const cachedCount = await newsCache.getCount(category);
+    if (cachedCount !== null) return { total: cachedCount, totalCached: true };
+
+    const filter = { isActive: true };
+    if (category) filter.category = category;
+
+    const total = await News.countDocuments(filter);
+    await newsCache.setCount(category, total);
+    return { total, totalCached: false };
+  }
+
+  // Whatever the cache still holds while MongoDB is down. Offset pages only, and
+  // without totals or cursors since those need the database.
+  async getStalePage(category, { limit, offset, cursor }) {
+    const data = cursor ? null : await newsCache.getPage(category, offset, limit, { stale: true });
+    if (!data) {
+      throw new DatabaseUnavailableError('News is temporarily unavailable');
+    }
+
+    return {
+      data,
+      nextCursor: null,
+      prevCursor: null,
+      total: null,
+      totalCached: false,
+      stale: true
+    };
   }
 
-  async getLatestNews(limit = 20, offset = 0) {
+  // Articles carrying a tag, by its slug or name ("Bank of England" finds bank-of-england)
+  async getNewsByTag(tag, { limit = 20, offset = 0, cursor, language } = {}) {
     try {
-      const redis = getRedisClient();
-      
-      // Try Redis cache first
-      if (redis) {
-        const cachedIds = await redis.lRange('news:latest', offset, offset + limit - 1);
-        if (cachedIds.length > 0) {
-          const cachedNews = await Promise.all(
-            cachedIds.map(async (id) => {
-              const cached = await redis.get(`news:${id}`);
-              return cached ? JSON.parse(cached) : null;
-            })
-          );
-          const validNews = cachedNews.filter(Boolean);
-          if (validNews.length > 0) {
-            return validNews;
-          }
-        }
-      }
-      
-      // Fallback to database
-      const news = await News.find({ isActive: true })
-        .sort({ publishedAt: -1 })
-        .limit(limit)
-        .skip(offset)
-        .lean();
-        
-      return news;
+      requireDatabase('News is temporarily unavailable');
+
+      const filter = { isActive: true, 'tags.slug': slugifyTag(tag) };
+      if (language) filter.language = language;
+
+      return await paginate(News, filter, { limit, offset, cursor });
     } catch (error) {
-      logger.error('Error getting latest news:', error);
+      if (!(error instanceof InvalidCursorError || error instanceof DatabaseUnavailableError)) {
+        logger.error('Error getting news by tag:', error);
+      }
       throw error;
     }
   }
 
-  async getNewsByCategory(category, limit = 20, offset = 0) {
+  // filters: { categories, sources, from, to, hasImage, language }
+  async queryNews(filters, { limit = 20, offset = 0, cursor, count, sort = 'newest' } = {}) {
     try {
-      const news = await News.find({ 
-        category: category, 
-        isActive: true 
-      })
-        .sort({ publishedAt: -1 })
-        .limit(limit)
-        .skip(offset)
-        .lean();
-        
-      return news;
+      // Only the latest listing or a single category has a cached stand-in
+      const listing = this.cachedListingFor(filters, sort);
+      if (!isDatabaseConnected()) {
+        if (listing === undefined) throw new DatabaseUnavailableError('News is temporarily unavailable');
+        return await this.getStalePage(listing, { limit, offset, cursor });
+      }
+
+      return await paginate(News, this.buildNewsFilter(filters), {
+        limit,
+        offset,
+        cursor,
+        totals: count === 'cached' && listing !== undefined ? await this.getListingTotals(listing) : undefined,
+        order: sort === 'oldest' ? 1 : -1
+      });
     } catch (error) {
-      logger.error('Error getting news by category:', error);
+      if (!(error instanceof InvalidCursorError || error instanceof DatabaseUnavailableError)) {
+        logger.error('Error querying news:', error);
+      }
       throw error;
     }
   }
 
-  async searchNews(query, limit = 20, offset = 0) {
+  // The cached listing holding exactly what a query asks for: null for the
+  // latest listing, a category name, or undefined when no listing matches
+  cachedListingFor({ categories, sources, from, to, hasImage, language } = {}, sort) {
+    if (sort === 'oldest' || sources?.length || from || to || hasImage !== undefined || language) return undefined;
+    if (!categories?.length) return null;
+    return categories.length === 1 ? categories[0] : undefined;
+  }
+
+  buildNewsFilter({ categories, sources, from, to, hasImage, language } = {}) {
+    const filter = { isActive: true };
+
+    if (categories?.length) filter.category = { $in: categories };
+    if (sources?.length) filter.source = { $in: sources };
+    if (language) filter.language = language;
+    if (hasImage !== undefined) {
+      filter.image = hasImage ? { $nin: [null, ''] } : { $in: [null, ''] };
+    }
+    if (from || to) {
+      filter.publishedAt = {};
+      if (from) filter.publishedAt.$gte = from;
+      if (to) filter.publishedAt.$lte = to;
+    }
+
+    return filter;
+  }
+
+  // Relevance ranking only supports offset pages; a cursor pages by date instead
+  async searchNews(query, { limit = 20, offset = 0, cursor, source, category, language, from, to, sort = 'relevance' } = {}) {
     try {
-      const searchRegex = new RegExp(query, 'i');
-      const news = await News.find({
-        $and: [
-          { isActive: true },
-          {
-            $or: [
-              { title: searchRegex },
-              { summary: searchRegex }
-            ]
-          }
-        ]
-      })
-        .sort({ publishedAt: -1 })
-        .limit(limit)
-        .skip(offset)
-        .lean();
-        
-      return news;
+      requireDatabase('Search is temporarily unavailable');
+
+      const textSearch = buildTextSearch(query);
+      const filter = {
+        isActive: true,
+        $text: textSearch
+      };
+
+      if (source) filter.source = source;
+      if (category) filter.category = category;
+      if (language) filter.language = language;
+      if (from || to) {
+        filter.publishedAt = {};
+        if (from) filter.publishedAt.$gte = from;
+        if (to) filter.publishedAt.$lte = to;
+      }
+
+      const projection = { score: { $meta: 'textScore' } };
+      const byRelevance = sort === 'relevance' && !cursor;
+      const page = await paginate(News, filter, {
+        limit,
+        offset,
+        cursor,
+        projection,
+        sort: byRelevance ? { score: { $meta: 'textScore' }, publishedAt: -1, _id: -1 } : undefined
+      });
+
+      // Date cursors do not line up with relevance order
+      if (byRelevance) {
+        page.nextCursor = null;
+        page.prevCursor = null;
+      }
+
+      const parsedQuery = parseSearchQuery(textSearch.$search);
+      page.data = page.data.map(item => ({
+        ...item,
+        highlights: buildHighlights(item, parsedQuery)
+      }));
+
+      return page;
     } catch (error) {
-      logger.error('Error searching news:', error);
+      if (!(error instanceof InvalidCursorError || error instanceof DatabaseUnavailableError)) {
+        logger.error('Error searching news:', error);
+      }
       throw error;
     }
   }
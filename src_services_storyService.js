@@ -0,0 +1,203 @@
+const stringSimilarity = require('string-similarity');
+
+const Story = require('../models/Story');
+const News = require('../models/News');
+const { logger } = require('../utils/logger');
+const { requireDatabase, DatabaseUnavailableError } = require('../config/database');
+const { contentTokens } = require('../utils/text');
+const { paginate, InvalidCursorError } = require('../utils/pagination');
+
+class StoryService {
+  constructor() {
+    this.similarityThreshold = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || 0.55;
+    // Only stories updated this recently are candidates for new articles
+    this.windowMs = (parseInt(process.env.STORY_WINDOW_HOURS, 10) || 48) * 60 * 60 * 1000;
+    this.titleWeight = 0.7;
+    // Title keywords an article must share with a story before they are compared
+    this.minSharedKeywords = 2;
+  }
+
+  // Content words of a title, which stories are indexed by
+  keywordsFor(news) {
+    return [...new Set(contentTokens(news.title))];
+  }
+
+  // Keyword index over recent stories sharing a title keyword with the batch,
+  // so each article is only scored against stories that could match it
+  async loadCandidates(newsItems) {
+    const index = { stories: new Map(), byKeyword: new Map() };
+    const keywords = [...new Set(newsItems.flatMap(news => this.keywordsFor(news)))];
+    if (keywords.length === 0) return index;
+
+    const oldest = Math.min(...newsItems.map(news => news.publishedAt.getTime()));
+    const stories = await Story.find({
+      isActive: true,
+      keywords: { $in: keywords },
+      lastPublishedAt: { $gte: new Date(oldest - this.windowMs) }
+    })
+      .select('+keywords')
+      .lean();
+
+    stories.forEach(story => this.addToIndex(index, story));
+    return index;
+  }
+
+  addToIndex(index, story) {
+    const id = story._id.toString();
+    index.stories.set(id, story);
+    (story.keywords || []).forEach(keyword => {
+      if (!index.byKeyword.has(keyword)) index.byKeyword.set(keyword, new Set());
+      index.byKeyword.get(keyword).add(id);
+    });
+  }
+
+  // Attach each saved article to the most similar recent story, or start a new one
+  async assignStories(newsItems) {
+    if (newsItems.length === 0) return;
+
+    const index = await this.loadCandidates(newsItems);
+
+    for (const news of newsItems) {
+      try {
+        const { story, similarity } = this.findBestMatch(news, index);
+        const saved = story
+          ? await this.addToStory(story, news, similarity)
+          : await this.createStory(news);
+
+        news.story = saved._id;
+        await News.updateOne({ _id: news._id }, { story: saved._id });
+        this.addToIndex(index, saved);
+      } catch (error) {
+        logger.error(`Error clustering "${news.title}":`, error.message);
+      }
+    }
+  }
+
+  findCandidates(news, index) {
+    const keywords = this.keywordsFor(news);
+    const shared = new Map();
+    keywords.forEach(keyword => {
+      (index.byKeyword.get(keyword) || []).forEach(id => shared.set(id, (shared.get(id) || 0) + 1));
+    });
+
+    // Very short titles only need what they have
+    const needed = Math.min(this.minSharedKeywords, keywords.length);
+    return [...shared.entries()]
+      .filter(([, count]) => count >= needed)
+      .map(([id]) => index.stories.get(id));
+  }
+
+  findBestMatch(news, index) {
+    let best = { story: null, similarity: 0 };
+    const publishedAt = news.publishedAt.getTime();
+
+    for (const story of this.findCandidates(news, index)) {
+      if (Math.abs(story.lastPublishedAt.getTime() - publishedAt) > this.windowMs) continue;
+
+      const similarity = this.scoreSimilarity(news, story);
+      if (similarity > best.similarity) {
+        best = { story, similarity };
+      }
+    }
+
+    return best.similarity >= this.similarityThreshold ? best : { story: null, similarity: 0 };
+  }
+
+  // Weighted title + summary similarity, against the story and each of its articles' titles
+  scoreSimilarity(news, story) {
+    const title = news.title.toLowerCase();
+    const titleSimilarity = Math.max(
+      stringSimilarity.compareTwoStrings(title, story.title.toLowerCase()),
+      ...story.articles.map(article => stringSimilarity.compareTwoStrings(title, article.title.toLowerCase()))
+    );
+    const summarySimilarity = news.summary && story.summary
+      ? stringSimilarity.compareTwoStrings(news.summary.toLowerCase(), story.summary.toLowerCase())
+      : titleSimilarity;
+
+    return this.titleWeight * titleSimilarity + (1 - this.titleWeight) * summarySimilarity;
+  }
+
+  toArticle(news, similarity) {
+    return {
+      news: news._id,
+      title: news.title,
+      source: news.source,
+      url: news.url,
+      publishedAt: news.publishedAt,
+      similarity
+    };
+  }
+
+  async createStory(news) {
+    const story = await Story.create({
+      title: news.title,
+      summary: news.summary,
+      category: news.category,
+      keywords: this.keywordsFor(news),
+      articles: [this.toArticle(news, 1)],
+      sources: [news.source],
+      coverageCount: 1,
+      firstPublishedAt: news.publishedAt,
+      firstSource: news.source,
+      lastPublishedAt: news.publishedAt
+    });
+    return story.toObject();
+  }
+
+  async addToStory(story, news, similarity) {
+    const sources = new Set([...story.sources, news.source]);
+    const update = {
+      $push: { articles: this.toArticle(news, similarity) },
+      $addToSet: { sources: news.source, keywords: { $each: this.keywordsFor(news) } },
+      $max: { lastPublishedAt: news.publishedAt },
+      $set: { coverageCount: sources.size }
+    };
+
+    // The earliest publisher leads the story
+    if (news.publishedAt < story.firstPublishedAt) {
+      Object.assign(update.$set, {
+        firstPublishedAt: news.publishedAt,
+        firstSource: news.source,
+        title: news.title,
+        summary: news.summary
+      });
+    }
+
+    const updated = await Story.findByIdAndUpdate(story._id, update, { new: true })
+      .select('+keywords')
+      .lean();
+    logger.debug(`Clustered "${news.title}" (${news.source}) into story ${updated._id} at ${similarity.toFixed(2)}`);
+    return updated;
+  }
+
+  // Most recently updated first
+  async getStories({ limit = 20, offset = 0, cursor, category, minCoverage = 1 } = {}) {
+    try {
+      requireDatabase('Stories are temporarily unavailable');
+
+      const filter = { isActive: true, coverageCount: { $gte: minCoverage } };
+      if (category) filter.category = category;
+
+      return await paginate(Story, filter, { limit, offset, cursor, key: 'lastPublishedAt' });
+    } catch (error) {
+      if (!(error instanceof InvalidCursorError || error instanceof DatabaseUnavailableError)) {
+        logger.error('Error getting stories:', error);
+      }
+      throw error;
+    }
+  }
+
+  async getStoryById(id) {
+    try {
+      requireDatabase('Stories are temporarily unavailable');
+      return await Story.findOne({ _id: id, isActive: true }).lean();
+    } catch (error) {
+      if (!(error instanceof DatabaseUnavailableError)) {
+        logger.error('Error getting story:', error);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new StoryService();
@@ -0,0 +1,134 @@
+const News = require('../models/News');
+const { extractEntities, extractKeywords, slugifyTag } = require('../utils/entities');
+const { logger } = require('../utils/logger');
+const { isDatabaseConnected, DatabaseUnavailableError } = require('../config/database');
+
+// Tags articles with the named entities and keywords of their text (see
+// utils/entities) and ranks the tags trending in recent coverage
+class TagService {
+  constructor() {
+    this.maxEntities = parseInt(process.env.TAGS_MAX_ENTITIES, 10) || 8;
+    this.maxKeywords = parseInt(process.env.TAGS_MAX_KEYWORDS, 10) || 5;
+    // Weighted mentions a tag needs: a title mention counts 3, summary 2, content 1
+    this.minEntityScore = 2;
+    this.minKeywordScore = 4;
+    this.trendingCacheMs = parseInt(process.env.TAGS_TRENDING_CACHE_MS, 10) || 60 * 1000;
+    this.trendingCache = new Map();
+  }
+
+  tagsFor({ title, summary, content }) {
+    const fields = [
+      { text: title, weight: 3 },
+      { text: summary, weight: 2 },
+      { text: content, weight: 1 }
+    ];
+
+    const entities = extractEntities(fields)
+      .filter(({ score }) => score >= this.minEntityScore)
+      .slice(0, this.maxEntities);
+    const keywords = extractKeywords(fields, { exclude: entities.map(({ name }) => name) })
+      .filter(({ score }) => score >= this.minKeywordScore)
+      .slice(0, this.maxKeywords);
+
+    const tags = new Map();
+    [
+      ...entities.map(({ name, type }) => ({ slug: slugifyTag(name), name, type })),
+      ...keywords.map(({ name }) => ({ slug: slugifyTag(name), name, type: 'keyword' }))
+    ].forEach((tag) => {
+      if (tag.slug && !tags.has(tag.slug)) tags.set(tag.slug, tag);
+    });
+    return [...tags.values()];
+  }
+
+  tagAll(newsItems) {
+    return newsItems.map(item => ({ ...item, tags: this.tagsFor(item) }));
+  }
+
+  // Tags of articles published in the last `hours`, ranked by how much
+  // coverage they have and how fast it grew against the window before.
+  // Cached per instance for trendingCacheMs, and past it while MongoDB is down.
+  async getTrending({ hours = 24, limit = 20, type, minCount = 2 } = {}) {
+    const cacheKey = JSON.stringify({ hours, limit, type, minCount });
+    const cached = this.trendingCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    if (!isDatabaseConnected()) {
+      if (!cached) throw new DatabaseUnavailableError('Trending tags are temporarily unavailable');
+      return { ...cached.value, stale: true };
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+    const previousFrom = new Date(from.getTime() - hours * 60 * 60 * 1000);
+    const inWindow = { $gte: ['$publishedAt', from] };
+
+    const groups = await News.aggregate([
+      { $match: { isActive: true, publishedAt: { $gte: previousFrom, $lte: to }, 'tags.0': { $exists: true } } },
+      { $project: { publishedAt: 1, source: 1, tags: 1 } },
+      { $unwind: '$tags' },
+      ...(type ? [{ $match: { 'tags.type': type } }] : []),
+      {
+        $group: {
+          _id: '$tags.slug',
+          name: { $first: '$tags.name' },
+          type: { $first: '$tags.type' },
+          count: { $sum: { $cond: [inWindow, 1, 0] } },
+          previousCount: { $sum: { $cond: [inWindow, 0, 1] } },
+          sources: { $addToSet: { $cond: [inWindow, '$source', '$$REMOVE'] } }
+        }
+      },
+      { $match: { count: { $gte: minCount } } },
+      { $sort: { count: -1 } },
+      { $limit: 500 }
+    ]);
+
+    const trending = groups
+      .map(group => ({
+        slug: group._id,
+        name: group.name,
+        type: group.type,
+        count: group.count,
+        previousCount: group.previousCount,
+        sourceCount: group.sources.length,
+        // Volume times growth, so a steady big story and a fast-rising new one both rank
+        score: Math.round((group.count * (group.count + 1)) / (group.previousCount + 1) * 100) / 100
+      }))
+      .sort((a, b) => b.score - a.score || b.sourceCount - a.sourceCount)
+      .slice(0, limit);
+
+    const value = { data: trending, window: { hours, from, to } };
+    this.trendingCache.forEach((entry, key) => {
+      if (entry.expiresAt <= Date.now()) this.trendingCache.delete(key);
+    });
+    this.trendingCache.set(cacheKey, { value, expiresAt: Date.now() + this.trendingCacheMs });
+    return value;
+  }
+
+  // Tag articles saved before tagging existed, or again after the rules
+  // changed. Returns the number of articles updated.
+  async retag({ days = 7, batchSize = 200 } = {}) {
+    const cursor = News.find({ publishedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } })
+      .select({ title: 1, summary: 1, content: 1 })
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let updated = 0;
+    for await (const news of cursor) {
+      operations.push({ updateOne: { filter: { _id: news._id }, update: { $set: { tags: this.tagsFor(news) } } } });
+      if (operations.length >= batchSize) {
+        updated += (await News.bulkWrite(operations, { ordered: false })).modifiedCount;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      updated += (await News.bulkWrite(operations, { ordered: false })).modifiedCount;
+    }
+
+    this.trendingCache.clear();
+    logger.info(`🏷️ Retagged ${updated} article(s) from the last ${days} day(s)`);
+    return updated;
+  }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,101 @@
+const News = require('../models/News');
+const { getTranslationProvider } = require('./translation');
+const { collapseWhitespace, truncateText } = require('../utils/sanitize');
+const { logger } = require('../utils/logger');
+
+const titleMaxLength = News.schema.path('title').options.maxlength;
+const summaryMaxLength = News.schema.path('summary').options.maxlength;
+
+class TranslationTimeoutError extends Error {
+  constructor(ms) {
+    super(`Translation timed out after ${ms}ms`);
+    this.name = 'TranslationTimeoutError';
+  }
+}
+
+// Adds Thai translations (title_th, summary_th) to fetched articles in other
+// languages before they are saved, through the provider named by
+// TRANSLATION_PROVIDER (see ./translation). Translation is best effort: an
+// article whose batch fails is saved without them.
+class TranslationService {
+  constructor() {
+    this.providerName = process.env.TRANSLATION_PROVIDER || 'none';
+    this.targetLanguage = 'th';
+    this.batchSize = parseInt(process.env.TRANSLATION_BATCH_SIZE, 10) || 25;
+    this.timeoutMs = parseInt(process.env.TRANSLATION_TIMEOUT_MS, 10) || 20 * 1000;
+  }
+
+  getProvider() {
+    if (this.providerName === 'none') return null;
+
+    const provider = getTranslationProvider(this.providerName);
+    if (!provider) {
+      logger.warn(`Unknown translation provider "${this.providerName}", articles are saved untranslated`);
+    }
+    return provider;
+  }
+
+  async translateAll(newsItems) {
+    const provider = this.getProvider();
+    if (!provider) return newsItems;
+
+    // Batches never mix source languages
+    const byLanguage = new Map();
+    newsItems
+      .filter(item => item.language !== this.targetLanguage)
+      .forEach((item) => {
+        if (!byLanguage.has(item.language)) byLanguage.set(item.language, []);
+        byLanguage.get(item.language).push(item);
+      });
+
+    const translations = new Map();
+    for (const [language, items] of byLanguage) {
+      for (let i = 0; i < items.length; i += this.batchSize) {
+        const batch = items.slice(i, i + this.batchSize);
+        try {
+          const translated = await this.translateBatch(provider, batch, language);
+          batch.forEach((item, index) => translations.set(item, translated[index]));
+        } catch (error) {
+          logger.warn(`🌐 Translation of ${batch.length} ${language} article(s) failed: ${error.message}`);
+        }
+      }
+    }
+
+    if (translations.size > 0) {
+      logger.info(`🌐 Translated ${translations.size} article(s) to ${this.targetLanguage} with ${provider.name}`);
+    }
+    return newsItems.map(item => (translations.has(item) ? { ...item, ...translations.get(item) } : item));
+  }
+
+  // Titles and summaries go to the provider as one list: [t1, s1, t2, s2, ...]
+  async translateBatch(provider, batch, language) {
+    const texts = batch.flatMap(item => [item.title, item.summary]);
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new TranslationTimeoutError(this.timeoutMs)), this.timeoutMs);
+    });
+
+    let translated;
+    try {
+      translated = await Promise.race([
+        provider.translate(texts, { from: language, to: this.targetLanguage }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!Array.isArray(translated) || translated.length !== texts.length) {
+      throw new Error(`Provider returned ${Array.isArray(translated) ? translated.length : 'no'} translations for ${texts.length} texts`);
+    }
+
+    const clean = (text, maxLength) => (text ? truncateText(collapseWhitespace(text), maxLength) : null);
+    return batch.map((item, index) => ({
+      title_th: clean(translated[index * 2], titleMaxLength),
+      summary_th: clean(translated[index * 2 + 1], summaryMaxLength)
+    }));
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,27 @@
+const StubTranslationProvider = require('./stubProvider');
+
+// Provider name -> object exposing `translate(texts, { from, to })` that
+// resolves to the translations of `texts` in the same order. `from` and `to`
+// are ISO 639-1 codes. Providers should batch the texts into as few requests
+// as their API allows and reject on failure; a failed batch is saved
+// untranslated. Machine translation services register here.
+const providers = new Map();
+
+const registerTranslationProvider = (provider) => {
+  if (!provider?.name || typeof provider.translate !== 'function') {
+    throw new Error('Translation providers need a name and a translate(texts, { from, to }) method');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getTranslationProvider = (name) => providers.get(name) || null;
+
+const listTranslationProviders = () => Array.from(providers.keys());
+
+[new StubTranslationProvider()].forEach(registerTranslationProvider);
+
+module.exports = {
+  registerTranslationProvider,
+  getTranslationProvider,
+  listTranslationProviders
+};
@@ -0,0 +1,13 @@
+// Local provider for development and tests: no network, and the output shows
+// which text was "translated" into which language
+class StubTranslationProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async translate(texts, { from, to }) {
+    return texts.map(text => `[${from}->${to}] ${text}`);
+  }
+}
+
+module.exports = StubTranslationProvider;
@@ -0,0 +1,75 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses a server-side fetch of a third-party URL must never reach:
+// loopback, private networks, link-local (cloud metadata endpoints), shared
+// carrier NAT, documentation, multicast and other reserved ranges. IPv4
+// addresses mapped into IPv6 are checked against the IPv4 ranges.
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+class BlockedAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedAddressError';
+  }
+}
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolves when the URL is http(s) and every address its host resolves to is
+// public. Throws BlockedAddressError otherwise, or the DNS error.
+const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new BlockedAddressError(`Unsupported protocol ${protocol}`);
+  }
+
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (blocked) throw new BlockedAddressError(`${hostname} resolves to a non-public address (${blocked})`);
+};
+
+// dns.lookup for outgoing sockets that refuses non-public addresses, so a host
+// cannot switch to a private address between the check and the connection
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = entries.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new BlockedAddressError(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+module.exports = {
+  BlockedAddressError,
+  isPublicAddress,
+  assertPublicUrl,
+  publicHttpAgent,
+  publicHttpsAgent
+};
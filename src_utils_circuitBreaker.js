@@ -0,0 +1,99 @@
+// Tracks the health of each feed URL. Every failure pushes the next attempt out
+// exponentially; after `failureThreshold` consecutive failures the circuit
+// opens and the feed is left alone until its backoff expires, when a single
+// half-open probe decides whether it closes again or re-opens.
+// State lives in memory; `load` replaces it with circuits saved elsewhere
+// (see feedStateService) so it can be shared and survive restarts.
+class CircuitBreaker {
+  constructor({
+    failureThreshold = 5,
+    baseBackoffMs = 5 * 60 * 1000,
+    maxBackoffMs = 6 * 60 * 60 * 1000
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.baseBackoffMs = baseBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.circuits = new Map();
+  }
+
+  load(circuits) {
+    this.circuits = new Map(circuits.map(circuit => [circuit.key, { ...circuit, meta: { ...circuit.meta } }]));
+  }
+
+  getCircuit(key) {
+    return this.circuits.get(key) || null;
+  }
+
+  canAttempt(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || Date.now() >= circuit.nextAttemptAt) {
+      if (circuit?.state === 'open') {
+        circuit.state = 'half-open';
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // Returns the circuit that was cleared, if the key had been failing
+  recordSuccess(key) {
+    const circuit = this.circuits.get(key) || null;
+    this.circuits.delete(key);
+    return circuit;
+  }
+
+  recordFailure(key, error, meta = {}) {
+    const now = Date.now();
+    const circuit = this.circuits.get(key) || {
+      key,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      meta: {}
+    };
+
+    circuit.consecutiveFailures++;
+    circuit.lastError = error?.message || String(error);
+    circuit.lastFailureAt = new Date(now);
+    circuit.meta = { ...circuit.meta, ...meta };
+
+    const backoffMs = Math.min(
+      this.baseBackoffMs * 2 ** (circuit.consecutiveFailures - 1),
+      this.maxBackoffMs
+    );
+    circuit.nextAttemptAt = now + backoffMs;
+
+    // A failed half-open probe re-opens straight away
+    if (circuit.state === 'half-open' || circuit.consecutiveFailures >= this.failureThreshold) {
+      if (circuit.state !== 'open') {
+        circuit.openedAt = new Date(now);
+      }
+      circuit.state = 'open';
+    }
+
+    this.circuits.set(key, circuit);
+    return circuit;
+  }
+
+  reset(key) {
+    return this.circuits.delete(key);
+  }
+
+  resetAll() {
+    const count = this.circuits.size;
+    this.circuits.clear();
+    return count;
+  }
+
+  list({ openOnly = false } = {}) {
+    return Array.from(this.circuits.values())
+      .filter(circuit => !openOnly || circuit.state !== 'closed')
+      .map(({ meta, nextAttemptAt, ...circuit }) => ({
+        ...circuit,
+        ...meta,
+        nextAttemptAt: new Date(nextAttemptAt)
+      }));
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,287 @@
+const { STOPWORDS, contentTokens, needsSegmentation } = require('./text');
+
+// Rule-based keyword and named-entity extraction for news text. Entities are
+// runs of capitalized words ("Bank of England", "Keir Starmer"), typed by
+// small gazetteers, honorifics and name endings; keywords are the words an
+// article repeats most. Only capitalization-based extraction depends on the
+// script, so entities come from Latin-script text and keywords from any.
+
+// Canonical name by lowercased alias
+const PLACES = new Map([
+  ...[
+    'Afghanistan', 'Albania', 'Algeria', 'Argentina', 'Armenia', 'Australia', 'Austria', 'Azerbaijan',
+    'Bangladesh', 'Belarus', 'Belgium', 'Bolivia', 'Bosnia', 'Brazil', 'Bulgaria', 'Cambodia', 'Canada',
+    'Chile', 'China', 'Colombia', 'Croatia', 'Cuba', 'Cyprus', 'Denmark', 'Ecuador', 'Egypt', 'Estonia',
+    'Ethiopia', 'Finland', 'France', 'Georgia', 'Germany', 'Ghana', 'Greece', 'Haiti', 'Hungary', 'Iceland',
+    'India', 'Indonesia', 'Iran', 'Iraq', 'Ireland', 'Israel', 'Italy', 'Jamaica', 'Japan', 'Jordan',
+    'Kazakhstan', 'Kenya', 'Kosovo', 'Kuwait', 'Laos', 'Latvia', 'Lebanon', 'Libya', 'Lithuania',
+    'Malaysia', 'Mali', 'Mexico', 'Moldova', 'Mongolia', 'Morocco', 'Myanmar', 'Nepal', 'Netherlands',
+    'New Zealand', 'Nicaragua', 'Niger', 'Nigeria', 'North Korea', 'Norway', 'Pakistan', 'Palestine',
+    'Panama', 'Peru', 'Philippines', 'Poland', 'Portugal', 'Qatar', 'Romania', 'Russia', 'Rwanda',
+    'Saudi Arabia', 'Serbia', 'Singapore', 'Slovakia', 'Slovenia', 'Somalia', 'South Africa', 'South Korea',
+    'Spain', 'Sri Lanka', 'Sudan', 'South Sudan', 'Sweden', 'Switzerland', 'Syria', 'Taiwan', 'Thailand',
+    'Tunisia', 'Turkey', 'Uganda', 'Ukraine', 'United Arab Emirates', 'United Kingdom', 'United States',
+    'Uruguay', 'Venezuela', 'Vietnam', 'Yemen', 'Zambia', 'Zimbabwe',
+    'Africa', 'Antarctica', 'Asia', 'Europe', 'Middle East', 'North America', 'South America', 'Arctic',
+    'England', 'Scotland', 'Wales', 'Northern Ireland', 'Gaza', 'West Bank', 'Crimea', 'Kashmir',
+    'Hong Kong', 'London', 'Paris', 'Berlin', 'Brussels', 'Washington', 'New York', 'Los Angeles',
+    'Moscow', 'Kyiv', 'Beijing', 'Shanghai', 'Tokyo', 'Delhi', 'Mumbai', 'Bangkok', 'Jerusalem',
+    'Tehran', 'Istanbul', 'Rome', 'Madrid', 'Sydney', 'Toronto', 'Dubai', 'Geneva', 'Davos', 'California',
+    'Texas', 'Florida'
+  ].map(name => [name.toLowerCase(), name]),
+  ['us', 'United States'], ['u.s', 'United States'], ['usa', 'United States'], ['america', 'United States'],
+  ['uk', 'United Kingdom'], ['britain', 'United Kingdom'], ['great britain', 'United Kingdom'],
+  ['uae', 'United Arab Emirates'], ['czech republic', 'Czechia'], ['czechia', 'Czechia'],
+  ['burma', 'Myanmar'], ['kiev', 'Kyiv'], ['new delhi', 'Delhi']
+]);
+
+const ORGANIZATIONS = new Map([
+  ...[
+    'Apple', 'Google', 'Alphabet', 'Microsoft', 'Amazon', 'Meta', 'Facebook', 'Instagram', 'WhatsApp',
+    'Tesla', 'SpaceX', 'OpenAI', 'Nvidia', 'Intel', 'Samsung', 'Huawei', 'TikTok', 'ByteDance', 'Netflix',
+    'Disney', 'Boeing', 'Airbus', 'Toyota', 'Volkswagen', 'Shell', 'BP', 'Uber', 'Spotify', 'Twitter',
+    'Nato', 'Opec', 'Hamas', 'Hezbollah', 'Taliban', 'Labour', 'Conservatives', 'Tories', 'Republicans',
+    'Democrats', 'Kremlin', 'Pentagon', 'White House', 'Downing Street', 'Wall Street', 'Fifa', 'Uefa',
+    'Premier League', 'Champions League', 'Olympics', 'Interpol', 'Europol'
+  ].map(name => [name.toLowerCase(), name]),
+  ['eu', 'European Union'], ['un', 'United Nations'], ['fed', 'Federal Reserve'], ['x', 'X']
+]);
+
+// Words before a name that say it is a person, and are not part of the name
+const HONORIFICS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'sir', 'dame', 'lord', 'lady', 'prof', 'professor', 'president',
+  'prime', 'minister', 'chancellor', 'secretary', 'senator', 'sen', 'rep', 'representative', 'governor',
+  'gov', 'mayor', 'king', 'queen', 'prince', 'princess', 'pope', 'judge', 'justice', 'general', 'gen',
+  'ceo', 'chairman', 'chief', 'executive', 'coach', 'manager', 'captain', 'vice', 'foreign', 'home',
+  'defence', 'defense', 'health', 'finance', 'deputy', 'former', 'leader', 'speaker', 'ambassador'
+]);
+
+// Last words marking an organization or a place
+const ORGANIZATION_ENDINGS = new Set([
+  'agency', 'airlines', 'airways', 'army', 'association', 'authority', 'bank', 'board', 'commission',
+  'committee', 'company', 'congress', 'corp', 'corporation', 'council', 'court', 'department', 'fc',
+  'foundation', 'fund', 'group', 'holdings', 'inc', 'institute', 'league', 'ltd', 'ministry', 'motors',
+  'navy', 'office', 'organisation', 'organization', 'parliament', 'party', 'plc', 'police', 'reserve',
+  'senate', 'service', 'systems', 'technologies', 'union', 'united', 'university'
+]);
+// Acronyms that name a topic rather than an organization
+const TOPIC_ACRONYMS = new Set(['ai', 'ev', 'evs', 'gdp', 'ipo', 'tv', 'vr', 'covid']);
+const PLACE_ENDINGS = new Set([
+  'bay', 'city', 'coast', 'county', 'gulf', 'island', 'islands', 'lake', 'mountains', 'ocean', 'province',
+  'region', 'river', 'road', 'sea', 'square', 'state', 'street', 'valley'
+]);
+
+// Lowercase words allowed inside a name ("Bank of England", "Leonardo da Vinci")
+const CONNECTORS = new Set(['of', 'the', 'and', 'for', 'de', 'del', 'der', 'da', 'du', 'la', 'le', 'van', 'von', 'al', 'bin', '&']);
+
+// Capitalized words that start sentences and headlines far more often than names
+const COMMON_CAPITALIZED = new Set([
+  'after', 'again', 'already', 'also', 'although', 'amid', 'analysis', 'another', 'as', 'breaking',
+  'despite', 'even', 'every', 'exclusive', 'however', 'inside', 'instead', 'interview', 'its', 'just',
+  'last', 'latest', 'live', 'many', 'meanwhile', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+  'saturday', 'sunday', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december', 'more', 'most', 'much', 'new', 'now', 'officials',
+  'opinion', 'police', 'people', 'review', 'several', 'still', 'today', 'tomorrow', 'update',
+  'watch', 'what', 'yesterday', 'yet'
+]);
+
+// Words too common in news to say what an article is about
+const GENERIC_WORDS = new Set([
+  'according', 'around', 'back', 'billion', 'cent', 'could', 'day', 'days', 'even', 'first', 'get',
+  'including', 'last', 'latest', 'like', 'live', 'made', 'make', 'many', 'million', 'much', 'news',
+  'one', 'people', 'per', 'percent', 'report', 'reports', 'since', 'still', 'three', 'time', 'told',
+  'two', 'update', 'updates', 'video', 'watch', 'week', 'weeks', 'well', 'year', 'years'
+]);
+
+const WORD = /[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}&]|['’.-](?=[\p{L}\p{N}]))*/gu;
+const SENTENCE_END = /[.!?…:;"“”()[\]|]|\s[-–—]\s/;
+
+// URL- and index-friendly form of a tag: lowercase words joined by '-'
+const slugifyTag = (name) => String(name)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+const isCapitalized = word => /^\p{Lu}/u.test(word);
+const isAcronym = word => /^\p{Lu}{2,6}$/u.test(word.replace(/\./g, ''));
+
+// Headlines in Title Case capitalize every word, so capitals say nothing
+// there. In any other text some longer word is lowercase.
+const isTitleCase = (words) => {
+  const long = words.filter(word => word.length > 3);
+  return long.length >= 3 && long.every(isCapitalized);
+};
+
+// Runs of capitalized words, with whether each run starts a sentence
+const findCandidates = (text) => {
+  const words = [];
+  let lastEnd = 0;
+
+  for (const match of text.matchAll(WORD)) {
+    const gap = text.slice(lastEnd, match.index);
+    const possessive = /['’]s$/u.test(match[0]);
+    words.push({
+      word: possessive ? match[0].slice(0, -2) : match[0],
+      possessive,
+      // A break between the words (punctuation) ends a run
+      joined: words.length > 0 && gap.trim() === '' && !words[words.length - 1].possessive,
+      sentenceStart: lastEnd === 0 || SENTENCE_END.test(gap)
+    });
+    lastEnd = match.index + match[0].length;
+  }
+
+  if (isTitleCase(words.map(({ word }) => word))) return [];
+
+  const runs = [];
+  let run = null;
+  words.forEach((token, index) => {
+    const next = words[index + 1];
+    const continues = run && token.joined;
+
+    if (isCapitalized(token.word) && continues) {
+      run.words.push(token.word);
+    } else if (continues && CONNECTORS.has(token.word.toLowerCase()) && next?.joined && isCapitalized(next.word)) {
+      run.words.push(token.word);
+    } else if (isCapitalized(token.word)) {
+      run = { words: [token.word], sentenceStart: token.sentenceStart };
+      runs.push(run);
+    } else {
+      run = null;
+    }
+  });
+
+  return runs;
+};
+
+// Split a run into the honorific part and the name, and drop sentence-initial
+// words that are only capitalized because they start the sentence
+const cleanRun = ({ words, sentenceStart }, isName) => {
+  let start = 0;
+  let honorific = false;
+  // "General Motors" and "Home Office" start with words that are otherwise honorifics
+  const last = words[words.length - 1].toLowerCase();
+  const institution = ORGANIZATION_ENDINGS.has(last) || PLACE_ENDINGS.has(last);
+
+  while (start < words.length) {
+    const lower = words[start].toLowerCase();
+    if (HONORIFICS.has(lower) && !institution) {
+      honorific = true;
+    } else if (!(start === 0 && sentenceStart && (STOPWORDS.has(lower) || COMMON_CAPITALIZED.has(lower)))) {
+      break;
+    }
+    start++;
+  }
+
+  // Titles alone ("the Prime Minister") name no one
+  const name = words.slice(start);
+  if (name.length === 0) return null;
+
+  // A lone sentence-initial word counts only if the text shows it is a name
+  const single = name.length === 1 && start === 0;
+  const lower = name[0].toLowerCase();
+  if (single && sentenceStart && !isName(name[0]) && !PLACES.has(lower) && !ORGANIZATIONS.has(lower)) {
+    return null;
+  }
+  // "US" is a name, "Us" is not
+  if (single && !isAcronym(name[0]) && (STOPWORDS.has(lower) || COMMON_CAPITALIZED.has(lower))) return null;
+
+  return { name: name.join(' '), honorific };
+};
+
+const classify = (name, honorific) => {
+  const lower = name.toLowerCase().replace(/\./g, '');
+  if (PLACES.has(lower)) return { name: PLACES.get(lower), type: 'place' };
+  if (ORGANIZATIONS.has(lower)) return { name: ORGANIZATIONS.get(lower), type: 'organization' };
+
+  const words = name.split(' ');
+  const last = words[words.length - 1].toLowerCase();
+  if (honorific) return { name, type: 'person' };
+  if (TOPIC_ACRONYMS.has(lower)) return { name, type: 'other' };
+  if (ORGANIZATION_ENDINGS.has(last) || isAcronym(name)) return { name, type: 'organization' };
+  if (PLACE_ENDINGS.has(last)) return { name, type: 'place' };
+  // Two or three plain capitalized words are most often a person's name
+  if (words.length >= 2 && words.length <= 3 && words.every(word => /^\p{Lu}\p{Ll}+$/u.test(word))) {
+    return { name, type: 'person' };
+  }
+  if (words.some(word => CONNECTORS.has(word))) return { name, type: 'organization' };
+  return { name, type: 'other' };
+};
+
+// fields: [{ text, weight }]. Returns [{ name, type, score }] by score, where
+// score is the weighted number of mentions. Surnames mentioned alone count
+// toward the person's full name.
+const extractEntities = (fields) => {
+  // Words capitalized mid-sentence, and how many sentences each word starts
+  const capitalizedElsewhere = new Set();
+  const sentenceStarts = new Map();
+  const runsByField = fields.map(({ text, weight }) => {
+    const runs = text && !needsSegmentation(text) ? findCandidates(text) : [];
+    runs.forEach((run) => {
+      if (run.sentenceStart) sentenceStarts.set(run.words[0], (sentenceStarts.get(run.words[0]) || 0) + 1);
+      run.words.slice(run.sentenceStart ? 1 : 0).forEach(word => capitalizedElsewhere.add(word));
+    });
+    return { runs, weight };
+  });
+  // Ordinary words rarely start several sentences of one article; names do
+  const isName = word => capitalizedElsewhere.has(word) || sentenceStarts.get(word) >= 2;
+
+  const entities = new Map();
+  runsByField.forEach(({ runs, weight }) => {
+    runs.forEach((run) => {
+      const cleaned = cleanRun(run, isName);
+      if (!cleaned) return;
+
+      const { name, type } = classify(cleaned.name, cleaned.honorific);
+      const slug = slugifyTag(name);
+      if (!slug) return;
+
+      const entity = entities.get(slug) || { name, type, score: 0 };
+      // A later mention may be the only one that shows the type
+      if (entity.type === 'other') entity.type = type;
+      entity.score += weight;
+      entities.set(slug, entity);
+    });
+  });
+
+  const people = [...entities.values()].filter(entity => entity.type === 'person' && entity.name.includes(' '));
+  entities.forEach((entity, slug) => {
+    if (entity.name.includes(' ')) return;
+    const person = people.find(candidate => candidate.name.endsWith(` ${entity.name}`));
+    if (person) {
+      person.score += entity.score;
+      entities.delete(slug);
+    }
+  });
+
+  return [...entities.values()].sort((a, b) => b.score - a.score);
+};
+
+// fields: [{ text, weight }]. The most repeated content words, as
+// [{ name, score }], leaving out the words of `exclude` (entity names).
+const extractKeywords = (fields, { exclude = [] } = {}) => {
+  const excluded = new Set(exclude.flatMap(name => contentTokens(name)));
+  const scores = new Map();
+
+  fields.forEach(({ text, weight }) => {
+    // Each field counts a word at most twice, so long bodies do not drown out the title
+    const counts = new Map();
+    contentTokens(text).map(token => token.replace(/['’]s$/u, '')).forEach((token) => {
+      const minLength = needsSegmentation(token) ? 2 : 3;
+      if (token.length < minLength || /^\d/.test(token) || GENERIC_WORDS.has(token) || excluded.has(token)) return;
+      counts.set(token, Math.min((counts.get(token) || 0) + 1, 2));
+    });
+    counts.forEach((count, token) => scores.set(token, (scores.get(token) || 0) + count * weight));
+  });
+
+  return [...scores.entries()]
+    .map(([name, score]) => ({ name, score }))
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  slugifyTag,
+  extractEntities,
+  extractKeywords
+};
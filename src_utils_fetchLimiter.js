@@ -0,0 +1,114 @@
+class FetchBudgetExceededError extends Error {
+  constructor(url) {
+    super(`Fetch budget exhausted before ${url} could be fetched`);
+    this.name = 'FetchBudgetExceededError';
+  }
+}
+
+// Schedules outbound fetches with a global concurrency cap, a per-host cap and
+// a minimum gap between requests to the same host. Tasks still queued when the
+// deadline passes are rejected with FetchBudgetExceededError.
+class FetchLimiter {
+  constructor({
+    concurrency = 8,
+    perHostConcurrency = 2,
+    perHostSpacingMs = 500,
+    deadline = Infinity
+  } = {}) {
+    this.concurrency = concurrency;
+    this.perHostConcurrency = perHostConcurrency;
+    this.perHostSpacingMs = perHostSpacingMs;
+    this.deadline = deadline;
+
+    this.queue = [];
+    this.active = 0;
+    this.hosts = new Map(); // host -> { active, nextStartAt }
+    this.timer = null;
+  }
+
+  schedule(url, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ url, host: this.getHost(url), task, resolve, reject });
+      this.pump();
+    });
+  }
+
+  isExpired() {
+    return Date.now() >= this.deadline;
+  }
+
+  // End the budget now: queued tasks are rejected, running ones finish
+  expire() {
+    this.deadline = Date.now();
+    this.pump();
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStartAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.isExpired()) {
+      this.queue.splice(0).forEach(entry => entry.reject(new FetchBudgetExceededError(entry.url)));
+      return;
+    }
+
+    const now = Date.now();
+    let nextWakeAt = Infinity;
+
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency; i++) {
+      const entry = this.queue[i];
+      const hostState = this.getHostState(entry.host);
+
+      if (hostState.active >= this.perHostConcurrency) continue;
+      if (hostState.nextStartAt > now) {
+        nextWakeAt = Math.min(nextWakeAt, hostState.nextStartAt);
+        continue;
+      }
+
+      this.queue.splice(i--, 1);
+      this.run(entry, hostState);
+    }
+
+    // Wake up for spaced-out hosts, or to fail the queue when the budget runs out
+    if (this.queue.length > 0) {
+      const wakeAt = Math.min(nextWakeAt, this.deadline);
+      if (wakeAt !== Infinity) {
+        this.timer = setTimeout(() => this.pump(), Math.max(wakeAt - Date.now(), 0));
+      }
+    }
+  }
+
+  run(entry, hostState) {
+    this.active++;
+    hostState.active++;
+    hostState.nextStartAt = Date.now() + this.perHostSpacingMs;
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.active--;
+        hostState.active--;
+        this.pump();
+      });
+  }
+}
+
+module.exports = { FetchLimiter, FetchBudgetExceededError };
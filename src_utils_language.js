@@ -0,0 +1,99 @@
+const { tokenize, segmentWords, needsSegmentation } = require('./text');
+
+// Language detection for feed text. Titles and summaries are short, so this
+// keeps to what short text can tell reliably: the script a text is written in
+// and, for Latin script, the common function words of each language.
+
+// Scripts that identify a language on their own. Kana is checked before Han
+// because Japanese text mixes both.
+const SCRIPTS = [
+  { language: 'th', pattern: /[\u0E00-\u0E7F]/g },
+  { language: 'ja', pattern: /[\u3040-\u30FF]/g },
+  { language: 'zh', pattern: /[\u3400-\u4DBF\u4E00-\u9FFF]/g },
+  { language: 'ko', pattern: /[\u1100-\u11FF\uAC00-\uD7AF]/g },
+  { language: 'ru', pattern: /[\u0400-\u04FF]/g },
+  { language: 'ar', pattern: /[\u0600-\u06FF]/g },
+  { language: 'he', pattern: /[\u0590-\u05FF]/g },
+  { language: 'el', pattern: /[\u0370-\u03FF]/g },
+  { language: 'hi', pattern: /[\u0900-\u097F]/g }
+];
+
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'for', 'on', 'with', 'that', 'was', 'at', 'by', 'from', 'after', 'as', 'has', 'are', 'it', 'its', 'be', 'have', 'will', 'says'],
+  fr: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'du', 'dans', 'pour', 'sur', 'pas', 'au', 'avec', 'qui', 'que', 'aux', 'par', 'sont', 'ont'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'den', 'von', 'für', 'auf', 'ein', 'eine', 'im', 'dem', 'sich', 'auch', 'nach', 'wird', 'bei'],
+  es: ['el', 'los', 'las', 'del', 'y', 'en', 'que', 'por', 'con', 'para', 'una', 'es', 'se', 'al', 'como', 'más', 'su', 'pero', 'sus', 'tras'],
+  pt: ['os', 'das', 'dos', 'não', 'em', 'uma', 'para', 'com', 'por', 'ao', 'mais', 'como', 'é', 'foi', 'são', 'pelo', 'pela', 'seu', 'sua', 'após'],
+  it: ['il', 'gli', 'della', 'di', 'che', 'è', 'per', 'con', 'non', 'una', 'sono', 'nel', 'alla', 'dei', 'delle', 'anche', 'più', 'dopo', 'ha', 'nella'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'op', 'met', 'voor', 'zijn', 'dat', 'ook', 'bij', 'naar', 'wordt', 'om', 'uit', 'heeft', 'over'],
+  id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'dari', 'dalam', 'akan', 'pada', 'juga', 'ke', 'karena', 'oleh', 'ada', 'bisa', 'kata', 'telah']
+};
+
+const functionWords = Object.entries(FUNCTION_WORDS).map(([language, words]) => ({ language, words: new Set(words) }));
+
+// Share of letters a script needs to decide the language, so a Thai article
+// quoting an English name is still Thai
+const MIN_SCRIPT_SHARE = 0.3;
+// Function words a Latin-script text needs before its language is trusted
+const MIN_FUNCTION_WORDS = 2;
+
+// ISO 639-1 code of the language of a text, or `fallback` (usually the
+// source's configured language) when the text does not say enough
+const detectLanguage = (text, fallback = 'en') => {
+  if (!text) return fallback;
+
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return fallback;
+
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    if (count / letters >= MIN_SCRIPT_SHARE) return language;
+  }
+
+  const tokens = tokenize(text);
+  const hits = new Map(functionWords.map(({ language, words }) => [
+    language,
+    tokens.filter(token => words.has(token)).length
+  ]));
+  const [best, bestHits] = [...hits.entries()].sort((a, b) => b[1] - a[1])[0];
+
+  if (bestHits < MIN_FUNCTION_WORDS) return fallback;
+  // Closely related languages share words; a tie goes to the source's language
+  return hits.get(fallback) === bestHits ? fallback : best;
+};
+
+// Languages MongoDB's text index can stem, by ISO code. Everything else is
+// indexed with 'none': no stemming or stop words, words split on whitespace.
+const TEXT_SEARCH_LANGUAGES = {
+  da: 'danish',
+  de: 'german',
+  en: 'english',
+  es: 'spanish',
+  fi: 'finnish',
+  fr: 'french',
+  hu: 'hungarian',
+  it: 'italian',
+  nb: 'norwegian',
+  nl: 'dutch',
+  pt: 'portuguese',
+  ro: 'romanian',
+  ru: 'russian',
+  sv: 'swedish',
+  tr: 'turkish'
+};
+
+const textSearchLanguage = (language) => TEXT_SEARCH_LANGUAGES[language] || 'none';
+
+// The text index only splits words on whitespace and punctuation, so text in
+// scripts written without spaces is indexed as its words joined by spaces.
+// Null for text that needs no segmenting.
+const segmentForSearch = (text) => {
+  if (!needsSegmentation(text)) return null;
+  return segmentWords(text).join(' ');
+};
+
+module.exports = {
+  detectLanguage,
+  textSearchLanguage,
+  segmentForSearch
+};
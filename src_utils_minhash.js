@@ -0,0 +1,90 @@
+const { contentTokens } = require('./text');
+
+// 32-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer, used to derive independent hash functions from one seed each
+const mix32 = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// MinHash signatures over word shingles plus LSH banding. Seeds are derived
+// deterministically so signatures stored in Mongo stay comparable across restarts.
+class MinHasher {
+  constructor({ numHashes = 128, bands = 32, shingleSize = 2 } = {}) {
+    if (numHashes % bands !== 0) {
+      throw new Error('numHashes must be divisible by bands');
+    }
+
+    this.numHashes = numHashes;
+    this.bands = bands;
+    this.rows = numHashes / bands;
+    this.shingleSize = shingleSize;
+    this.seeds = Array.from({ length: numHashes }, (_, i) => mix32(i + 1));
+  }
+
+  shingles(text) {
+    const tokens = contentTokens(text);
+    if (tokens.length < this.shingleSize) {
+      return new Set(tokens);
+    }
+
+    const shingles = new Set();
+    for (let i = 0; i <= tokens.length - this.shingleSize; i++) {
+      shingles.add(tokens.slice(i, i + this.shingleSize).join(' '));
+    }
+    return shingles;
+  }
+
+  signature(text) {
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+
+    for (const shingle of this.shingles(text)) {
+      const base = fnv1a(shingle);
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = mix32(base ^ this.seeds[i]);
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+
+    return signature;
+  }
+
+  // One bucket key per band; documents sharing any key are candidate duplicates
+  buckets(signature) {
+    const keys = [];
+    for (let band = 0; band < this.bands; band++) {
+      const rows = signature.slice(band * this.rows, (band + 1) * this.rows);
+      keys.push(`${band}:${fnv1a(rows.join(',')).toString(36)}`);
+    }
+    return keys;
+  }
+
+  // Estimated Jaccard similarity of the underlying shingle sets
+  similarity(signatureA, signatureB) {
+    if (!signatureA?.length || signatureA.length !== signatureB?.length) return 0;
+
+    let matches = 0;
+    for (let i = 0; i < signatureA.length; i++) {
+      if (signatureA[i] === signatureB[i]) matches++;
+    }
+    return matches / signatureA.length;
+  }
+}
+
+module.exports = { MinHasher };
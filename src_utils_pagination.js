@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid pagination cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+// Opaque keyset cursors over (date key, _id); the key is publishedAt unless a
+// listing orders by another date. `d` records whether the cursor continues
+// forward ('next') or back ('prev') through the listing.
+const encodeCursor = (doc, direction, key = 'publishedAt') => {
+  const payload = { p: new Date(doc[key]).toISOString(), i: doc._id.toString(), d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { p, i, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const publishedAt = new Date(p);
+
+    if (isNaN(publishedAt.getTime()) || !mongoose.isValidObjectId(i) || !['next', 'prev'].includes(d)) {
+      throw new InvalidCursorError();
+    }
+
+    return { publishedAt, id: new mongoose.Types.ObjectId(i), direction: d };
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+};
+
+// `order` is the listing's base order: -1 newest first, 1 oldest first
+const cursorFilter = ({ publishedAt, id, direction }, order, key = 'publishedAt') => {
+  const op = (direction === 'next') === (order === -1) ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [key]: { [op]: publishedAt } },
+      { [key]: publishedAt, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Page through `Model` by publishedAt, or the date field named by `key` (newest
+// first unless `order` is 1), either by keyset `cursor` or by `offset` (kept
+// for existing clients). A custom `sort` only applies to offset pages.
+// `totals` ({ total, totalCached }) known beforehand save counting the filter.
+// Resolves to { data, nextCursor, prevCursor, total, totalCached }.
+const paginate = async (Model, filter, {
+  limit = 20,
+  offset = 0,
+  cursor,
+  totals,
+  projection,
+  sort,
+  order = -1,
+  key = 'publishedAt'
+} = {}) => {
+  const decoded = cursor ? decodeCursor(cursor) : null;
+  const direction = decoded?.direction || 'next';
+  const pageFilter = decoded ? { $and: [filter, cursorFilter(decoded, order, key)] } : filter;
+  const sortOrder = direction === 'next' ? order : -order;
+
+  let query = Model.find(pageFilter, projection)
+    .sort(sort && !decoded ? sort : { [key]: sortOrder, _id: sortOrder })
+    .limit(limit + 1);
+  if (!decoded && offset > 0) {
+    query = query.skip(offset);
+  }
+
+  const [items, total] = await Promise.all([
+    query.lean(),
+    totals ? totals.total : Model.countDocuments(filter)
+  ]);
+
+  const hasMore = items.length > limit;
+  const data = items.slice(0, limit);
+  if (direction === 'prev') data.reverse();
+
+  const first = data[0];
+  const last = data[data.length - 1];
+  const hasOlder = direction === 'next' ? hasMore : Boolean(decoded);
+  const hasNewer = direction === 'prev' ? hasMore : Boolean(decoded) || offset > 0;
+
+  return {
+    data,
+    nextCursor: last && hasOlder ? encodeCursor(last, 'next', key) : null,
+    prevCursor: first && hasNewer ? encodeCursor(first, 'prev', key) : null,
+    total,
+    totalCached: Boolean(totals?.totalCached)
+  };
+};
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
@@ -0,0 +1,107 @@
+const os = require('os');
+const { getRedisClient, redisKey } = require('../config/redis');
+const { logger } = require('./logger');
+
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// A named lease in Redis that at most one instance holds at a time. The holder
+// renews it in the background; if it stops renewing (crash, lost connection)
+// the lease expires after ttlMs and another instance takes it over on its next
+// attempt.
+class RedisLease {
+  constructor(name, { ttlMs = 30000, renewIntervalMs = 10000 } = {}) {
+    this.name = name;
+    this.key = redisKey('lease', name);
+    this.ttlMs = ttlMs;
+    this.renewIntervalMs = renewIntervalMs;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.token = null; // The value written while this instance holds the lease
+    this.timer = null;
+  }
+
+  isHeld() {
+    return this.token !== null;
+  }
+
+  // Renew the lease if this instance holds it, otherwise try to take it.
+  // Resolves to whether this instance holds it now.
+  async refresh() {
+    const redis = getRedisClient();
+    if (!redis) return false;
+
+    try {
+      if (this.token) {
+        const renewed = await redis.eval(RENEW_SCRIPT, {
+          keys: [this.key],
+          arguments: [this.token, String(this.ttlMs)]
+        });
+        if (renewed) return true;
+
+        logger.warn(`🔓 Lost the ${this.name} lease`);
+        this.token = null;
+      }
+
+      const token = JSON.stringify({ instanceId: this.instanceId, acquiredAt: new Date().toISOString() });
+      const acquired = await redis.set(this.key, token, { NX: true, PX: this.ttlMs });
+      // A concurrent refresh may have taken it in the meantime
+      if (!acquired) return this.isHeld();
+
+      this.token = token;
+      logger.info(`🔒 Acquired the ${this.name} lease as ${this.instanceId}`);
+      return true;
+    } catch (error) {
+      // The lease may still be ours; the next refresh finds out
+      logger.error(`Lease refresh error for ${this.name}: ${error.message}`);
+      return false;
+    }
+  }
+
+  start() {
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.renewIntervalMs);
+    this.timer.unref();
+  }
+
+  // Stop renewing and hand the lease over straight away rather than letting it expire
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const redis = getRedisClient();
+    if (!this.token || !redis) return;
+
+    try {
+      await redis.eval(RELEASE_SCRIPT, { keys: [this.key], arguments: [this.token] });
+      logger.info(`🔓 Released the ${this.name} lease`);
+    } catch (error) {
+      logger.error(`Lease release error for ${this.name}: ${error.message}`);
+    } finally {
+      this.token = null;
+    }
+  }
+
+  // The current holder as recorded in Redis, or null when nobody holds it
+  async getHolder() {
+    const redis = getRedisClient();
+    const [value, ttl] = await Promise.all([redis.get(this.key), redis.pTTL(this.key)]);
+    if (!value) return null;
+
+    return {
+      ...JSON.parse(value),
+      expiresInMs: ttl,
+      isSelf: value === this.token
+    };
+  }
+}
+
+module.exports = { RedisLease };
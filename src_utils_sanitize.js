@@ -0,0 +1,79 @@
+const cheerio = require('cheerio');
+
+// Cleaning of the text and URLs that feeds hand us, before anything is hashed,
+// stored or broadcast
+
+// Elements whose content is never readable text (scripts, tracking pixels, embeds)
+const DROPPED_ELEMENTS = 'script, style, noscript, template, iframe, object, embed, img, picture, video, audio, svg, form';
+// Elements that separate words, so their text must not run together
+const BREAKING_ELEMENTS = 'br, p, div, li, dt, dd, h1, h2, h3, h4, h5, h6, blockquote, pre, tr, td, th, section, article, figcaption';
+
+// Query parameters that only identify the campaign or click, never the article
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'cmpid', 'ocid'
+]);
+const TRACKING_PREFIXES = ['utm_', 'at_'];
+
+// Collapse all runs of whitespace (including non-breaking spaces) and drop zero-width characters
+const collapseWhitespace = (text) => {
+  return String(text).replace(/[\u200B-\u200D\u2060\uFEFF]/g, '').replace(/\s+/g, ' ').trim();
+};
+
+// Plain text of an HTML fragment, with entities decoded and whitespace collapsed.
+// Plain text input comes back unchanged apart from entities and whitespace.
+const htmlToText = (html) => {
+  if (!html) return '';
+
+  const $ = cheerio.load(String(html), null, false);
+  $(DROPPED_ELEMENTS).remove();
+  $(BREAKING_ELEMENTS).after(' ');
+  return collapseWhitespace($.text());
+};
+
+// Cut text to at most maxLength characters (ellipsis included) at the last
+// word boundary that fits. A single word longer than that is cut mid-word.
+const truncateText = (text, maxLength) => {
+  if (!maxLength || text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = text[maxLength - 1] === ' ' ? cut.length : cut.lastIndexOf(' ');
+  const end = lastSpace > 0 ? lastSpace : cut.length;
+  return `${cut.slice(0, end).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+const sanitizeText = (html, maxLength) => truncateText(htmlToText(html), maxLength);
+
+const isTrackingParam = (name) => {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+};
+
+// The URL without tracking query parameters. URLs without any, and anything
+// that is not an http(s) URL, come back trimmed but otherwise untouched so
+// their hashes stay the same.
+const stripTrackingParams = (value) => {
+  if (!value) return value;
+
+  const trimmed = String(value).trim();
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch (error) {
+    return trimmed;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return trimmed;
+
+  const tracking = [...new Set(url.searchParams.keys())].filter(isTrackingParam);
+  if (tracking.length === 0) return trimmed;
+
+  tracking.forEach(name => url.searchParams.delete(name));
+  return url.href;
+};
+
+module.exports = {
+  collapseWhitespace,
+  htmlToText,
+  truncateText,
+  sanitizeText,
+  stripTrackingParams
+};
@@ -0,0 +1,112 @@
+// Helpers for MongoDB $text queries: split a user query into the parts $text
+// understands (terms, "quoted phrases", -exclusions) and build highlighted
+// snippets for the response.
+
+const { segmentWords, needsSegmentation } = require('./text');
+
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const parseSearchQuery = (query) => {
+  const phrases = [];
+  const excluded = [];
+  const terms = [];
+
+  const withoutPhrases = query.replace(/(-?)"([^"]+)"/g, (match, negated, phrase) => {
+    (negated ? excluded : phrases).push(phrase.trim());
+    return ' ';
+  });
+
+  withoutPhrases.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('-')) {
+      if (word.length > 1) excluded.push(word.slice(1));
+    } else {
+      terms.push(word);
+    }
+  });
+
+  return { terms, phrases, excluded };
+};
+
+// The $text clause for a query. Articles in scripts written without spaces
+// are indexed as segmented words (News.segmentedText), so terms and phrases
+// in those scripts are segmented the same way and searched without stemming.
+const buildTextSearch = (query) => {
+  if (!needsSegmentation(query)) return { $search: query };
+
+  const segment = text => segmentWords(text).join(' ');
+  const { terms, phrases, excluded } = parseSearchQuery(query);
+  const parts = [
+    ...terms.map(term => (needsSegmentation(term) ? segment(term) : term)),
+    ...phrases.map(phrase => `"${needsSegmentation(phrase) ? segment(phrase) : phrase}"`),
+    // A segmented exclusion stays one unit rather than excluding each word
+    ...excluded.map((text) => {
+      if (needsSegmentation(text)) return `-"${segment(text)}"`;
+      return /\s/.test(text) ? `-"${text}"` : `-${text}`;
+    })
+  ];
+
+  return { $search: parts.join(' '), $language: 'none' };
+};
+
+const stem = (term) => (term.length > 4 ? term.replace(/(es|s|ing|ed)$/i, '') : term);
+
+// Matches phrases exactly and terms as word prefixes, so stemmed matches such
+// as "election" for "elections" are still highlighted. Word boundaries are
+// Unicode-aware (\b only knows ASCII letters, so "élection" never matched).
+// Words in scripts written without spaces have no boundaries to anchor on and
+// match anywhere.
+const buildMatcher = ({ terms, phrases }) => {
+  const patterns = [
+    ...phrases.map(phrase => escapeRegExp(phrase).replace(/\s+/g, needsSegmentation(phrase) ? '\\s*' : '\\s+')),
+    ...terms.map(term => (needsSegmentation(term)
+      ? escapeRegExp(term)
+      : `(?<![\\p{L}\\p{N}])${escapeRegExp(stem(term))}[\\p{L}\\p{M}\\p{N}]*`))
+  ].filter(Boolean);
+
+  return patterns.length > 0 ? new RegExp(`(${patterns.join('|')})`, 'giu') : null;
+};
+
+const highlightField = (text, matcher) => {
+  if (!text || !matcher) return null;
+
+  matcher.lastIndex = 0;
+  const match = matcher.exec(text);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+  const snippet = text.slice(start, end);
+
+  const marked = snippet
+    .split(matcher)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+const buildHighlights = (doc, parsedQuery, fields = ['title', 'summary', 'content']) => {
+  const matcher = buildMatcher(parsedQuery);
+  const highlights = {};
+
+  fields.forEach(field => {
+    const snippet = highlightField(doc[field], matcher);
+    if (snippet) highlights[field] = snippet;
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildTextSearch,
+  buildHighlights
+};
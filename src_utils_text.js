@@ -0,0 +1,56 @@
+// Shared text helpers for similarity and enrichment
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having',
+  'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'may', 'me', 'more', 'most', 'my', 'new', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only',
+  'or', 'other', 'our', 'out', 'over', 'own', 'said', 'says', 'same', 'she', 'should', 'so', 'some',
+  'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Thai
+  'กับ', 'การ', 'ก็', 'ของ', 'คือ', 'ความ', 'จะ', 'จาก', 'ซึ่ง', 'ได้', 'ที่', 'นั้น', 'นี้', 'โดย',
+  'เป็น', 'ไป', 'เพื่อ', 'มา', 'มี', 'ยัง', 'และ', 'แล้ว', 'ว่า', 'หรือ', 'ให้', 'ใน', 'ไม่', 'อยู่', 'อย่าง', 'แต่'
+]);
+
+// Scripts written without spaces between words (Thai, Lao, Khmer, Myanmar,
+// Japanese kana, CJK ideographs); text in them needs a dictionary segmenter
+const UNSPACED_SCRIPT = /[\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF]/;
+
+const segmenters = new Map();
+
+// Word segments of a text using the ICU dictionaries behind Intl.Segmenter,
+// which also split spaced scripts correctly, so mixed Thai and English text works
+const segmentWords = (text, locale = 'th') => {
+  if (!text) return [];
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+  }
+  return Array.from(segmenters.get(locale).segment(text))
+    .filter(({ isWordLike }) => isWordLike)
+    .map(({ segment }) => segment);
+};
+
+const needsSegmentation = (text) => Boolean(text) && UNSPACED_SCRIPT.test(text);
+
+// Lowercased word tokens, letters (with their combining marks) and digits in
+// any script. Unspaced scripts are split into words by segmentWords.
+const tokenize = (text) => {
+  if (!text) return [];
+  if (needsSegmentation(text)) {
+    return segmentWords(text.toLowerCase());
+  }
+  return text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)?/gu) || [];
+};
+
+const contentTokens = (text) => tokenize(text).filter(token => !STOPWORDS.has(token));
+
+module.exports = {
+  STOPWORDS,
+  segmentWords,
+  needsSegmentation,
+  tokenize,
+  contentTokens
+};
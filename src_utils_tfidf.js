@@ -0,0 +1,102 @@
+// TF-IDF centroid (Rocchio) classification: each label is the average of its
+// training documents' unit-length TF-IDF vectors, and a document scores the
+// cosine similarity of its own vector with each centroid.
+
+// Term -> count
+const termFrequencies = (tokens) => {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+const normalize = (vector) => {
+  let norm = 0;
+  vector.forEach((weight) => {
+    norm += weight * weight;
+  });
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+  }
+  return vector;
+};
+
+// Sublinear term frequency, so one repeated word cannot dominate a short text
+const tfidfVector = (counts, idf) => {
+  const vector = new Map();
+  counts.forEach((count, term) => {
+    const weight = idf.get(term);
+    if (weight) vector.set(term, (1 + Math.log(count)) * weight);
+  });
+  return normalize(vector);
+};
+
+// documents: [{ tokens, label, weight = 1 }]. Terms found in fewer than minDf
+// documents are ignored, and each centroid keeps its termsPerLabel strongest
+// terms. Labels with fewer than minSamples documents are left out.
+// Returns { idf, centroids, sampleCounts } as plain objects, ready to store.
+const trainCentroids = (documents, { minDf = 2, termsPerLabel = 400, minSamples = 10 } = {}) => {
+  const documentFrequency = new Map();
+  const counted = documents.map((document) => {
+    const counts = termFrequencies(document.tokens);
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return { ...document, counts };
+  });
+
+  const total = documents.length;
+  const idf = new Map();
+  documentFrequency.forEach((df, term) => {
+    if (df >= minDf) idf.set(term, Math.log((total + 1) / (df + 1)) + 1);
+  });
+
+  const sums = new Map();
+  const sampleCounts = {};
+  counted.forEach(({ counts, label, weight = 1 }) => {
+    sampleCounts[label] = (sampleCounts[label] || 0) + 1;
+    if (!sums.has(label)) sums.set(label, new Map());
+
+    const sum = sums.get(label);
+    tfidfVector(counts, idf).forEach((value, term) => sum.set(term, (sum.get(term) || 0) + value * weight));
+  });
+
+  const centroids = {};
+  const keptTerms = new Set();
+  sums.forEach((sum, label) => {
+    if (sampleCounts[label] < minSamples) return;
+
+    const strongest = [...sum.entries()].sort((a, b) => b[1] - a[1]).slice(0, termsPerLabel);
+    const centroid = normalize(new Map(strongest));
+    centroids[label] = Object.fromEntries(centroid);
+    centroid.forEach((weight, term) => keptTerms.add(term));
+  });
+
+  // Only terms some centroid uses can ever contribute to a score
+  return {
+    idf: Object.fromEntries([...keptTerms].map(term => [term, idf.get(term)])),
+    centroids,
+    sampleCounts
+  };
+};
+
+// Label -> cosine similarity for a token list, highest first. Callers scoring
+// many documents can pass the idf as a Map in model.idfMap to avoid rebuilding it.
+const scoreCentroids = (model, tokens) => {
+  const idf = model.idfMap || new Map(Object.entries(model.idf));
+  const vector = tfidfVector(termFrequencies(tokens), idf);
+
+  return Object.entries(model.centroids)
+    .map(([label, centroid]) => {
+      let score = 0;
+      vector.forEach((weight, term) => {
+        if (centroid[term]) score += weight * centroid[term];
+      });
+      return { label, score };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  termFrequencies,
+  trainCentroids,
+  scoreCentroids
+};
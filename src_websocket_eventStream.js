@@ -0,0 +1,94 @@
+const News = require('../models/News');
+const { getRedisClient, redisKey } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+// Every news broadcast is recorded in a capped Redis stream. The stream entry
+// ID is the broadcast's event ID, so IDs increase across all instances, and
+// only article IDs are stored: replays load the articles from MongoDB.
+const streamKey = redisKey('ws', 'events');
+const maxLength = parseInt(process.env.WS_REPLAY_MAXLEN, 10) || 1000;
+const maxReplay = parseInt(process.env.WS_REPLAY_MAX_EVENTS, 10) || 100;
+
+const isEventId = value => typeof value === 'string' && /^\d+-\d+$/.test(value);
+
+const compareEventIds = (a, b) => {
+  const [aTime, aSeq] = a.split('-').map(Number);
+  const [bTime, bSeq] = b.split('-').map(Number);
+  return aTime - bTime || aSeq - bSeq;
+};
+
+// Resolves to the new event ID, or null when Redis is unavailable and the
+// broadcast cannot be replayed later
+const appendEvent = async (newsItems) => {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  try {
+    return await redis.xAdd(streamKey, '*', {
+      ids: JSON.stringify(newsItems.map(news => news._id.toString())),
+      timestamp: new Date().toISOString()
+    }, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLength }
+    });
+  } catch (error) {
+    logger.error(`Event stream append error: ${error.message}`);
+    return null;
+  }
+};
+
+const getLatestEventId = async () => {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  try {
+    const [latest] = await redis.xRevRange(streamKey, '+', '-', { COUNT: 1 });
+    return latest ? latest.id : null;
+  } catch (error) {
+    logger.error(`Event stream read error: ${error.message}`);
+    return null;
+  }
+};
+
+// The broadcasts a client missed since lastEventId, with their articles.
+// Resolves to { reset: true } when they cannot all be replayed: the position
+// has been trimmed from the stream, the backlog is longer than maxReplay, or
+// Redis or MongoDB is unavailable. The client should then reload over HTTP.
+const readEventsAfter = async (lastEventId) => {
+  const redis = getRedisClient();
+  if (!redis) return { reset: true, reason: 'replay_unavailable' };
+
+  try {
+    const [oldest] = await redis.xRange(streamKey, '-', '+', { COUNT: 1 });
+    if (oldest && compareEventIds(lastEventId, oldest.id) < 0) {
+      return { reset: true, reason: 'too_far_behind' };
+    }
+
+    const entries = await redis.xRange(streamKey, `(${lastEventId}`, '+', { COUNT: maxReplay + 1 });
+    if (entries.length > maxReplay) {
+      return { reset: true, reason: 'too_far_behind' };
+    }
+
+    const entryIds = entries.map(entry => JSON.parse(entry.message.ids));
+    const articles = await News.find({ _id: { $in: entryIds.flat() }, isActive: true }).lean();
+    const articlesById = new Map(articles.map(article => [article._id.toString(), article]));
+
+    const events = entries
+      .map((entry, index) => ({
+        eventId: entry.id,
+        timestamp: entry.message.timestamp,
+        data: entryIds[index].map(id => articlesById.get(id)).filter(Boolean)
+      }))
+      .filter(event => event.data.length > 0);
+
+    return {
+      reset: false,
+      events,
+      lastEventId: entries.length > 0 ? entries[entries.length - 1].id : lastEventId
+    };
+  } catch (error) {
+    logger.error(`Event stream replay error: ${error.message}`);
+    return { reset: true, reason: 'replay_unavailable' };
+  }
+};
+
+module.exports = { appendEvent, getLatestEventId, readEventsAfter, isEventId, compareEventIds };
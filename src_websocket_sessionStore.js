@@ -0,0 +1,36 @@
+const { getRedisClient, redisKey } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+// A client's subscriptions kept in Redis under the session ID it sends in the
+// Socket.IO handshake, so they survive reconnects to any instance
+const sessionTtl = parseInt(process.env.WS_SESSION_TTL_SECONDS, 10) || 60 * 60;
+
+const sessionKey = sessionId => redisKey('ws', 'session', sessionId);
+
+const isSessionId = value => typeof value === 'string' && /^[\w-]{8,64}$/.test(value);
+
+const loadSession = async (sessionId) => {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  try {
+    const session = await redis.get(sessionKey(sessionId));
+    return session ? JSON.parse(session) : null;
+  } catch (error) {
+    logger.error(`Session load error: ${error.message}`);
+    return null;
+  }
+};
+
+const saveSession = async (sessionId, session) => {
+  const redis = getRedisClient();
+  if (!redis) return;
+
+  try {
+    await redis.set(sessionKey(sessionId), JSON.stringify(session), { EX: sessionTtl });
+  } catch (error) {
+    logger.error(`Session save error: ${error.message}`);
+  }
+};
+
+module.exports = { loadSession, saveSession, isSessionId };
@@ -1,7 +1,41 @@
+const crypto = require('crypto');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const { logger } = require('../utils/logger');
+const { createRedisConnection, closeRedisConnection, redisKey } = require('../config/redis');
+const { appendEvent, getLatestEventId, readEventsAfter, isEventId, compareEventIds } = require('./eventStream');
+const { loadSession, saveSession, isSessionId } = require('./sessionStore');
+const { createSubscription, matchSubscriptions, describeSubscription, maxSubscriptions } = require('./subscriptions');
+const { authenticateSocket } = require('../middleware/apiClientAuth');
+const sseHandler = require('./sseHandler');
 
 let io = null;
+let adapterClients = [];
+let redisAdapterAttached = false;
+
+// Relay broadcasts and room emits through Redis pub/sub so clients connected
+// to any instance receive them. Until both connections are up the default
+// in-memory adapter is used, and local delivery never depends on Redis.
+const attachRedisAdapter = () => {
+  const pubClient = createRedisConnection('Socket.IO publish', { disableOfflineQueue: true });
+  const subClient = createRedisConnection('Socket.IO subscribe');
+  adapterClients = [pubClient, subClient];
+
+  // The adapter does not handle failed publishes; while Redis is down other
+  // instances simply miss those broadcasts
+  const publish = pubClient.publish.bind(pubClient);
+  pubClient.publish = (...args) => publish(...args).catch((error) => {
+    logger.debug(`Socket.IO broadcast not relayed: ${error.message}`);
+  });
+
+  const ready = client => (client.isReady ? Promise.resolve() : new Promise(resolve => client.once('ready', resolve)));
+  Promise.all([ready(pubClient), ready(subClient)]).then(() => {
+    if (!io || adapterClients[0] !== pubClient) return;
+    io.adapter(createAdapter(pubClient, subClient, { key: redisKey('socket.io') }));
+    redisAdapterAttached = true;
+    logger.info('📡 WebSocket broadcasts relayed through Redis');
+  });
+};
 
 const initializeSocket = (server) => {
   io = new Server(server, {
@@ -13,82 +47,301 @@ const initializeSocket = (server) => {
     transports: ['websocket', 'polling']
   });
 
+  attachRedisAdapter();
+
+  // API key and per-client connection cap, checked during the handshake
+  io.use(authenticateSocket);
+
+  // Deliveries from the instance that fetched the news
+  io.on('news:deliver', deliverMatches);
+
   io.on('connection', (socket) => {
-    logger.info(`🔌 Client connected: ${socket.id}`);
-    
-    // Send welcome message
-    socket.emit('news:connected', {
-      message: 'Connected to real-time news feed',
-      timestamp: new Date().toISOString()
+    const { apiClient } = socket.data;
+    logger.info(`🔌 Client connected: ${socket.id}${apiClient ? ` (${apiClient.name})` : ''}`);
+
+    // Set once the session the client asked for has been checked; nothing is
+    // saved before that
+    socket.data.sessionId = null;
+    socket.data.subscriptions = new Map();
+    // Deliveries held back while a resume is being replayed
+    socket.data.pending = null;
+
+    // Subscribe with a filter, e.g. { categories: ['technology'], sources: ['BBC'], keywords: ['AI'] }
+    socket.on('news:subscribe', (data, ack) => {
+      if (socket.data.subscriptions.size >= maxSubscriptions) {
+        return reply(socket, ack, 'news:error', { error: `At most ${maxSubscriptions} subscriptions per client` });
+      }
+
+      const { subscription, error } = createSubscription(data);
+      if (error) {
+        return reply(socket, ack, 'news:error', { error });
+      }
+
+      socket.data.subscriptions.set(subscription.id, subscription);
+      persistSubscriptions(socket);
+      logger.info(`Client ${socket.id} subscribed ${subscription.id}: ${JSON.stringify(subscription.filter)}`);
+      reply(socket, ack, 'news:subscribed', { subscription: describeSubscription(subscription) });
     });
 
-    // Handle client subscribing to specific categories
-    socket.on('news:subscribe', (data) => {
-      const { categories } = data;
-      if (Array.isArray(categories)) {
-        categories.forEach(category => {
-          socket.join(`category:${category}`);
+    // Cancel by subscription ID. { categories } still removes those categories
+    // from category-only subscriptions, as before subscriptions had IDs.
+    socket.on('news:unsubscribe', (data, ack) => {
+      const { id, categories } = data || {};
+      const removed = [];
+
+      if (typeof id === 'string' && socket.data.subscriptions.delete(id)) {
+        removed.push(id);
+      } else if (Array.isArray(categories)) {
+        socket.data.subscriptions.forEach((subscription) => {
+          const { filter } = subscription;
+          if (Object.keys(filter).length !== 1 || !filter.categories) return;
+
+          const remaining = filter.categories.filter(category => !categories.includes(category));
+          if (remaining.length === filter.categories.length) return;
+
+          if (remaining.length === 0) {
+            socket.data.subscriptions.delete(subscription.id);
+          } else {
+            const { subscription: updated } = createSubscription({ categories: remaining }, subscription);
+            socket.data.subscriptions.set(subscription.id, updated);
+          }
+          removed.push(subscription.id);
         });
-        logger.info(`Client ${socket.id} subscribed to categories: ${categories.join(', ')}`);
       }
+
+      if (removed.length === 0) {
+        return reply(socket, ack, 'news:error', { error: 'No matching subscription' });
+      }
+
+      persistSubscriptions(socket);
+      logger.info(`Client ${socket.id} unsubscribed ${removed.join(', ')}`);
+      reply(socket, ack, 'news:unsubscribed', { ids: removed });
     });
 
-    // Handle client unsubscribing
-    socket.on('news:unsubscribe', (data) => {
-      const { categories } = data;
-      if (Array.isArray(categories)) {
-        categories.forEach(category => {
-          socket.leave(`category:${category}`);
-        });
-        logger.info(`Client ${socket.id} unsubscribed from categories: ${categories.join(', ')}`);
+    // List the client's active subscriptions
+    socket.on('news:subscriptions', (data, ack) => {
+      // The payload is optional, so the callback may come first
+      const callback = typeof data === 'function' ? data : ack;
+      reply(socket, callback, 'news:subscriptions', { subscriptions: listSubscriptions(socket) });
+    });
+
+    // Replay the broadcasts missed since lastEventId
+    socket.on('news:resume', async (data) => {
+      const { lastEventId } = data || {};
+      if (!isEventId(lastEventId)) {
+        socket.emit('news:error', { message: 'lastEventId must be an event ID from a previous update' });
+        return;
+      }
+      if (socket.data.pending) {
+        socket.emit('news:error', { message: 'A resume is already in progress' });
+        return;
       }
+      await replayEvents(socket, lastEventId);
     });
 
     socket.on('disconnect', (reason) => {
       logger.info(`🔌 Client disconnected: ${socket.id}, reason: ${reason}`);
+      // Keep the session for the TTL counted from now
+      persistSubscriptions(socket);
     });
 
     socket.on('error', (error) => {
       logger.error(`Socket error for ${socket.id}:`, error);
     });
+
+    // Reconnecting clients send back the session ID they were given
+    const { sessionId } = socket.handshake.auth || {};
+    restoreSession(socket, isSessionId(sessionId) ? sessionId : null);
   });
 
   logger.info('📡 WebSocket server initialized');
   return io;
 };
 
-const broadcastNews = (newsItems) => {
+// Answer through the acknowledgement callback when the client passed one
+const reply = (socket, ack, event, payload) => {
+  if (typeof ack === 'function') {
+    ack({ success: event !== 'news:error', ...payload });
+  } else {
+    socket.emit(event, payload);
+  }
+};
+
+const listSubscriptions = socket => [...socket.data.subscriptions.values()].map(describeSubscription);
+
+// Sessions belong to the API client that created them, null for keyless clients
+const clientIdOf = socket => (socket.data.apiClient ? socket.data.apiClient.id : null);
+
+const persistSubscriptions = (socket) => {
+  if (!socket.data.sessionId) return;
+  saveSession(socket.data.sessionId, { clientId: clientIdOf(socket), subscriptions: listSubscriptions(socket) });
+};
+
+// Restore the subscriptions saved under the client's session, then greet it.
+// A session ID owned by another API client is not restored or overwritten;
+// the client is given a new session instead.
+const restoreSession = async (socket, requestedId) => {
+  let sessionId = requestedId || crypto.randomUUID();
+  const session = requestedId ? await loadSession(requestedId) : null;
+
+  if (session && (session.clientId || null) !== clientIdOf(socket)) {
+    logger.warn(`Client ${socket.id} sent a session ID owned by another API client; starting a new session`);
+    sessionId = crypto.randomUUID();
+  } else if (session) {
+    (session.subscriptions || []).forEach(({ id, filter, createdAt }) => {
+      if (socket.data.subscriptions.has(id)) return;
+      const { subscription } = createSubscription(filter, { id, createdAt });
+      if (subscription) socket.data.subscriptions.set(id, subscription);
+    });
+    if (socket.data.subscriptions.size > 0) {
+      logger.info(`Client ${socket.id} restored ${socket.data.subscriptions.size} subscription(s)`);
+    }
+  }
+
+  socket.data.sessionId = sessionId;
+  // Keep what was subscribed while the session was loading
+  if (socket.data.subscriptions.size > 0) persistSubscriptions(socket);
+
+  // Send welcome message
+  socket.emit('news:connected', {
+    message: 'Connected to real-time news feed',
+    sessionId: socket.data.sessionId,
+    subscriptions: listSubscriptions(socket),
+    lastEventId: await getLatestEventId(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Send a broadcast to the sockets on this instance, with each news item also
+// going to the sockets with a matching subscription, and to this instance's
+// Server-Sent Events streams. Sockets replaying a resume get it afterwards.
+const deliverMatches = (delivery) => {
+  sseHandler.publish(delivery);
   if (!io) return;
 
-  try {
-    // Broadcast to all clients
-    io.emit('news:update', {
-      type: 'new_articles',
-      data: newsItems,
-      timestamp: new Date().toISOString(),
-      count: newsItems.length
+  io.of('/').sockets.forEach((socket) => {
+    if (socket.data.pending) {
+      socket.data.pending.push(delivery);
+    } else {
+      emitDelivery(socket, delivery);
+    }
+  });
+};
+
+const emitDelivery = (socket, { eventId, newsItems, timestamp, replayed }) => {
+  socket.emit('news:update', {
+    type: 'new_articles',
+    eventId,
+    data: newsItems,
+    timestamp,
+    count: newsItems.length,
+    ...(replayed && { replayed: true })
+  });
+
+  newsItems.forEach((newsItem) => {
+    const subscriptionIds = matchSubscriptions(socket.data.subscriptions, newsItem);
+    if (subscriptionIds.length === 0) return;
+
+    socket.emit('news:category_update', {
+      type: 'category_update',
+      eventId,
+      subscriptionIds,
+      category: newsItem.category,
+      data: newsItem,
+      timestamp,
+      ...(replayed && { replayed: true })
     });
+  });
+};
 
-    // Broadcast to specific category rooms
-    newsItems.forEach(newsItem => {
-      io.to(`category:${newsItem.category}`).emit('news:category_update', {
-        type: 'category_update',
-        category: newsItem.category,
-        data: newsItem,
+// Send the updates missed since lastEventId, then the ones that arrived
+// meanwhile, skipping those the replay already covered
+const replayEvents = async (socket, lastEventId) => {
+  socket.data.pending = [];
+  let resumedFrom = null;
+
+  try {
+    const result = await readEventsAfter(lastEventId);
+
+    // Too much was missed to replay; the client should reload over HTTP
+    if (result.reset) {
+      resumedFrom = await getLatestEventId();
+      socket.emit('news:reset', {
+        reason: result.reason,
+        lastEventId: resumedFrom,
         timestamp: new Date().toISOString()
       });
+      return;
+    }
+
+    result.events.forEach(({ eventId, timestamp, data }) => {
+      emitDelivery(socket, { eventId, newsItems: data, timestamp, replayed: true });
     });
 
+    socket.emit('news:resumed', {
+      replayed: result.events.length,
+      lastEventId: result.lastEventId,
+      timestamp: new Date().toISOString()
+    });
+    resumedFrom = result.lastEventId;
+    logger.info(`Client ${socket.id} resumed from ${lastEventId}, replayed ${result.events.length} update(s)`);
+  } finally {
+    const { pending } = socket.data;
+    socket.data.pending = null;
+    pending
+      .filter(delivery => !resumedFrom || !delivery.eventId || compareEventIds(delivery.eventId, resumedFrom) > 0)
+      .forEach(delivery => emitDelivery(socket, delivery));
+  }
+};
+
+const broadcastNews = async (newsItems) => {
+  if (!io) return;
+
+  try {
+    // Null while Redis is unavailable; such updates cannot be replayed
+    const eventId = await appendEvent(newsItems);
+    const timestamp = new Date().toISOString();
+
+    // Every instance delivers to its own clients and matches their subscriptions
+    const delivery = { eventId, newsItems: JSON.parse(JSON.stringify(newsItems)), timestamp };
+    if (redisAdapterAttached) {
+      io.serverSideEmit('news:deliver', delivery);
+    }
+    deliverMatches(delivery);
+
     logger.info(`📡 Broadcasted ${newsItems.length} news items via WebSocket`);
   } catch (error) {
     logger.error('WebSocket broadcast error:', error);
   }
 };
 
+// Warn clients that this instance is going away so they reconnect elsewhere,
+// then disconnect them and close the Socket.IO server
+const closeSocket = async () => {
+  if (!io) return;
+
+  const server = io;
+  io = null;
+
+  // Local only: with the Redis adapter a plain emit reaches every instance
+  server.local.emit('server:shutdown', {
+    message: 'Server is shutting down, please reconnect',
+    timestamp: new Date().toISOString()
+  });
+
+  logger.info(`📡 Disconnecting ${server.engine.clientsCount} WebSocket client(s)`);
+  await server.close();
+
+  await Promise.all(adapterClients.map(client => closeRedisConnection(client)));
+  adapterClients = [];
+  redisAdapterAttached = false;
+};
+
 const getSocketInstance = () => io;
 
 module.exports = {
   initializeSocket,
   broadcastNews,
+  closeSocket,
   getSocketInstance
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const apiClientService = require('../services/apiClientService');
+const { logger } = require('../utils/logger');
+const { getLatestEventId, readEventsAfter, isEventId, compareEventIds } = require('./eventStream');
+
+// Server-Sent Events carrying the same updates as the Socket.IO broadcasts,
+// for clients that can only read text/event-stream. Every instance feeds its
+// own streams from the deliveries the socket handler receives.
+const heartbeatMs = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+const maxBufferBytes = parseInt(process.env.SSE_MAX_BUFFER_BYTES, 10) || 1024 * 1024;
+const retryMs = 5000;
+
+const streams = new Set();
+
+const formatEvent = (event, data, id) => `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// A client that falls this far behind is dropped rather than buffered without
+// limit; it reconnects with Last-Event-ID and catches up from the replay log
+const write = (stream, chunk) => {
+  if (stream.closed || stream.res.destroyed) return;
+
+  stream.res.write(chunk);
+  if (stream.res.writableLength > maxBufferBytes) {
+    logger.warn(`📡 Dropping slow SSE client ${stream.id}: ${stream.res.writableLength} bytes unsent`);
+    stream.res.destroy();
+  }
+};
+
+const deliver = (stream, { eventId, newsItems, timestamp, replayed }) => {
+  const items = stream.subscription ? newsItems.filter(stream.subscription.matches) : newsItems;
+  if (items.length === 0) return;
+
+  write(stream, formatEvent('news:update', {
+    type: 'new_articles',
+    eventId,
+    data: items,
+    timestamp,
+    count: items.length,
+    ...(replayed && { replayed: true })
+  }, eventId));
+};
+
+// Send the updates missed since lastEventId, then the ones that arrived meanwhile
+const resume = async (stream, lastEventId) => {
+  let resumedFrom = null;
+
+  if (lastEventId) {
+    const result = await readEventsAfter(lastEventId);
+
+    if (result.reset) {
+      const latestEventId = await getLatestEventId();
+      write(stream, formatEvent('news:reset', {
+        reason: result.reason,
+        lastEventId: latestEventId,
+        timestamp: new Date().toISOString()
+      }, latestEventId));
+      resumedFrom = latestEventId;
+    } else {
+      result.events.forEach(({ eventId, timestamp, data }) => {
+        deliver(stream, { eventId, newsItems: data, timestamp, replayed: true });
+      });
+      write(stream, formatEvent('news:resumed', {
+        replayed: result.events.length,
+        lastEventId: result.lastEventId,
+        timestamp: new Date().toISOString()
+      }, result.lastEventId));
+      resumedFrom = result.lastEventId;
+    }
+  }
+
+  const pending = stream.pending;
+  stream.pending = null;
+  pending
+    .filter(delivery => !resumedFrom || !delivery.eventId || compareEventIds(delivery.eventId, resumedFrom) > 0)
+    .forEach(delivery => deliver(stream, delivery));
+};
+
+// Take over the response as an event stream until the client goes away.
+// Options: subscription (from createSubscription) to filter articles,
+// lastEventId to resume from, client for the API client's connection cap.
+const openStream = async (req, res, { subscription = null, lastEventId = null, client = null } = {}) => {
+  const stream = {
+    id: `sse-${crypto.randomBytes(6).toString('hex')}`,
+    res,
+    subscription,
+    pending: [], // Deliveries held back until the replay has been sent
+    closed: false,
+    heartbeat: null
+  };
+
+  if (client && !await apiClientService.acquireConnection(client, stream.id)) {
+    return res.status(429).json({ error: `Connection limit of ${client.maxConnections} reached for this API key` });
+  }
+
+  // The client may have gone while the slot was being taken
+  if (req.socket.destroyed) {
+    if (client) apiClientService.releaseConnection(client, stream.id);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps compression from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${retryMs}\n\n`);
+
+  streams.add(stream);
+  stream.heartbeat = setInterval(() => write(stream, ': heartbeat\n\n'), heartbeatMs);
+
+  res.on('close', () => {
+    stream.closed = true;
+    streams.delete(stream);
+    clearInterval(stream.heartbeat);
+    if (client) apiClientService.releaseConnection(client, stream.id);
+    logger.info(`📡 SSE client disconnected: ${stream.id}`);
+  });
+
+  logger.info(`📡 SSE client connected: ${stream.id}${client ? ` (${client.name})` : ''}`);
+
+  write(stream, formatEvent('news:connected', {
+    message: 'Connected to real-time news feed',
+    filter: subscription ? subscription.filter : null,
+    lastEventId: await getLatestEventId(),
+    timestamp: new Date().toISOString()
+  }));
+
+  await resume(stream, isEventId(lastEventId) ? lastEventId : null);
+};
+
+// Called with every delivery, whichever instance broadcast it
+const publish = (delivery) => {
+  streams.forEach((stream) => {
+    if (stream.pending) {
+      stream.pending.push(delivery);
+    } else {
+      deliver(stream, delivery);
+    }
+  });
+};
+
+const closeStreams = () => {
+  logger.info(`📡 Closing ${streams.size} SSE stream(s)`);
+
+  streams.forEach((stream) => {
+    write(stream, formatEvent('server:shutdown', {
+      message: 'Server is shutting down, please reconnect',
+      timestamp: new Date().toISOString()
+    }));
+    stream.res.end();
+  });
+};
+
+module.exports = { openStream, publish, closeStreams };
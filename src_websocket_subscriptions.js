@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const News = require('../models/News');
+const { needsSegmentation } = require('../utils/text');
+
+const categories = News.schema.path('category').enumValues;
+
+const maxSubscriptions = parseInt(process.env.WS_MAX_SUBSCRIPTIONS, 10) || 20;
+
+// Fields are combined with AND, the values within a field with OR: a filter of
+// { categories: ['technology'], sources: ['BBC'], keywords: ['AI'] } matches
+// BBC technology articles that mention AI
+const filterSchema = Joi.object({
+  categories: Joi.array().items(Joi.string().valid(...categories)).min(1).max(categories.length).unique(),
+  sources: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(20).unique(),
+  keywords: Joi.array().items(Joi.string().trim().min(2).max(100)).min(1).max(10).unique(),
+  language: Joi.string().lowercase().pattern(/^[a-z]{2}$/)
+}).or('categories', 'sources', 'keywords', 'language').label('filter');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords and phrases match whole words, ignoring case. Scripts written
+// without spaces (Thai) have no word boundaries to check, so keywords in them
+// match anywhere.
+const compileKeywords = (keywords) => {
+  if (!keywords) return null;
+  const alternatives = keywords.map((keyword) => {
+    if (needsSegmentation(keyword)) return escapeRegExp(keyword).replace(/\s+/g, '\\s*');
+    return `(?<![\\p{L}\\p{N}])${escapeRegExp(keyword).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`;
+  });
+  return new RegExp(`(?:${alternatives.join('|')})`, 'iu');
+};
+
+const buildMatcher = (filter) => {
+  const sources = filter.sources && new Set(filter.sources.map(source => source.toLowerCase()));
+  const keywords = compileKeywords(filter.keywords);
+
+  return (newsItem) => {
+    if (filter.categories && !filter.categories.includes(newsItem.category)) return false;
+    if (sources && !sources.has(String(newsItem.source).toLowerCase())) return false;
+    if (filter.language && newsItem.language !== filter.language) return false;
+    if (keywords && !keywords.test(`${newsItem.title || ''}\n${newsItem.summary || ''}`)) return false;
+    return true;
+  };
+};
+
+// Returns { subscription }, or { error } with a message for the client
+const createSubscription = (filter, { id, createdAt } = {}) => {
+  const { error, value } = filterSchema.validate(filter, { stripUnknown: true });
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  return {
+    subscription: {
+      id: id || `sub_${crypto.randomBytes(6).toString('hex')}`,
+      filter: value,
+      createdAt: createdAt || new Date().toISOString(),
+      matches: buildMatcher(value)
+    }
+  };
+};
+
+// The IDs of the subscriptions a news item matches
+const matchSubscriptions = (subscriptions, newsItem) => {
+  const ids = [];
+  subscriptions.forEach((subscription) => {
+    if (subscription.matches(newsItem)) ids.push(subscription.id);
+  });
+  return ids;
+};
+
+const describeSubscription = ({ id, filter, createdAt }) => ({ id, filter, createdAt });
+
+module.exports = {
+  createSubscription,
+  matchSubscriptions,
+  describeSubscription,
+  maxSubscriptions
+};
@@ -0,0 +1,103 @@
+const http = require('http');
+const axios = require('axios');
+
+// The test server listens on 127.0.0.1, which the real guard refuses: let that
+// one address through and keep the real checks for every other host
+jest.mock('../src/utils/addressGuard', () => {
+  const actual = jest.requireActual('../src/utils/addressGuard');
+  return {
+    ...actual,
+    assertPublicUrl: url => (new URL(url).hostname === '127.0.0.1' ? Promise.resolve() : actual.assertPublicUrl(url)),
+    publicHttpAgent: undefined,
+    publicHttpsAgent: undefined
+  };
+});
+
+const extractionQueue = require('../src/services/extractionQueue');
+const { isPublicAddress, assertPublicUrl, publicHttpAgent } = jest.requireActual('../src/utils/addressGuard');
+
+const page = body => `<!DOCTYPE html><html><body><article>${body}</article></body></html>`;
+
+const routes = {
+  '/article': res => res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(page('<p>Story</p>')),
+  '/moved': res => res.writeHead(301, { Location: '/article' }).end(),
+  '/loop': res => res.writeHead(302, { Location: '/loop' }).end(),
+  '/metadata': res => res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' }).end(),
+  '/large': res => res.writeHead(200, { 'Content-Type': 'text/html' }).end(page(`<p>${'x'.repeat(5000)}</p>`)),
+  '/busy': res => res.writeHead(503).end(),
+  '/image': res => res.writeHead(200, { 'Content-Type': 'image/png' }).end('png')
+};
+
+describe('article download', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    extractionQueue.maxBytes = 1000;
+    server = http.createServer((req, res) => (routes[req.url] || (r => r.writeHead(404).end()))(res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const downloadError = url => extractionQueue.download(url).then(
+    () => { throw new Error(`${url} was downloaded`); },
+    error => error
+  );
+
+  test('follows redirects to the page', async () => {
+    await expect(extractionQueue.download(`${baseUrl}/moved`)).resolves.toContain('<p>Story</p>');
+  });
+
+  test('refuses redirects to private addresses', async () => {
+    const error = await downloadError(`${baseUrl}/metadata`);
+    expect(error.message).toBe('169.254.169.254 resolves to a non-public address (169.254.169.254)');
+    expect(error.retryable).toBe(false);
+  });
+
+  test('refuses hosts that resolve to loopback', async () => {
+    const error = await downloadError(`http://localhost:${server.address().port}/article`);
+    expect(error.message).toMatch(/^localhost resolves to a non-public address/);
+    expect(error.retryable).toBe(false);
+  });
+
+  test('gives up after too many redirects', async () => {
+    const error = await downloadError(`${baseUrl}/loop`);
+    expect(error.message).toBe('More than 5 redirects');
+    expect(error.retryable).toBe(false);
+  });
+
+  test('treats pages over the size limit as permanent failures', async () => {
+    const error = await downloadError(`${baseUrl}/large`);
+    expect(error.message).toBe('Page larger than 1000 bytes');
+    expect(error.retryable).toBe(false);
+  });
+
+  test('retries server errors but not other content types', async () => {
+    expect(await downloadError(`${baseUrl}/busy`)).toMatchObject({ message: 'HTTP 503', retryable: true });
+    expect(await downloadError(`${baseUrl}/image`)).toMatchObject({ message: 'Not an HTML page (image/png)', retryable: false });
+  });
+});
+
+describe('address guard', () => {
+  test('classifies public and non-public addresses', () => {
+    ['8.8.8.8', '93.184.216.34', '2606:4700::1111'].forEach(address => expect(isPublicAddress(address)).toBe(true));
+    ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not an address']
+      .forEach(address => expect(isPublicAddress(address)).toBe(false));
+  });
+
+  test('refuses non-http URLs and private hosts', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toThrow('Unsupported protocol file:');
+    await expect(assertPublicUrl('http://[::1]:3000/')).rejects.toThrow('non-public address (::1)');
+    await expect(assertPublicUrl('http://127.1/')).rejects.toThrow('non-public address (127.0.0.1)');
+    await expect(assertPublicUrl('https://93.184.216.34/')).resolves.toBeUndefined();
+  });
+
+  test('the agent refuses to connect to hosts resolving to private addresses', async () => {
+    const request = axios.get('http://localhost:9/', { httpAgent: publicHttpAgent, proxy: false });
+    const error = await request.catch(caught => caught);
+    expect(error.cause.name).toBe('BlockedAddressError');
+  });
+});
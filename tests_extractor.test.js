@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+const { extractArticle } = require('../src/services/extraction/extractor');
+const { getDomainRules } = require('../src/services/extraction/rules');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures/articles', name), 'utf8');
+
+// Extract a saved page as the queue would, with the rules for its domain
+const extract = (name, url) => extractArticle(fixture(name), { url, rules: getDomainRules(url) });
+
+describe('article extraction', () => {
+  test('domain rules: reads the BBC text blocks and byline', () => {
+    const article = extract('bbc.html', 'https://www.bbc.co.uk/news/technology-68000001');
+
+    expect(article.content.split('\n\n')).toEqual([
+      'Manufacturers say orders for data centre processors have doubled this year, as cloud providers race to build capacity for artificial intelligence.',
+      'The shortage has pushed delivery times for the most advanced chips beyond six months, according to industry analysts.',
+      'Several firms have announced new factories, but those will take years to come online.'
+    ]);
+    expect(article.content).not.toMatch(/Why AI needs so much electricity|Copyright/);
+    // The byline rule wins over the page-wide author meta tag
+    expect(article.author).toBe('Zoe Kleinman');
+    expect(article.canonicalUrl).toBe('https://www.bbc.co.uk/news/technology-68000001');
+    expect(article.image).toBe('https://ichef.bbci.co.uk/news/1024/68000001.jpg');
+  });
+
+  test('JSON-LD: uses the articleBody, authors and image of the NewsArticle', () => {
+    const article = extract('jsonld.html', 'https://science.example.org/2024/01/exoplanet-water?utm_source=rss');
+
+    expect(article.content).toMatch(/^Astronomers using a space telescope/);
+    expect(article.content).toMatch(/light years away\.\n\nThe planet/);
+    expect(article.content).not.toMatch(/\n{3,}/);
+    expect(article.author).toBe('Maria Lopez, Tom Reed');
+    // Relative canonical links resolve against the page URL
+    expect(article.canonicalUrl).toBe('https://science.example.org/2024/01/exoplanet-water');
+    expect(article.image).toBe('https://science.example.org/images/exoplanet.jpg');
+  });
+
+  test('heuristics: finds the story container and leaves out boilerplate', () => {
+    const article = extract('generic.html', 'https://localnews.example.com/city/cycle-lanes?ref=feed');
+
+    expect(article.content).toMatch(/^The city council has voted/);
+    expect(article.content).toContain('Mixed reaction from businesses');
+    expect(article.content).toMatch(/we need to know how deliveries will reach us\.$/);
+    expect(article.content).not.toMatch(/Advertisement|Bus fares|All rights reserved|analytics/);
+    expect(article.author).toBe('Priya Shah');
+    expect(article.canonicalUrl).toBe('https://localnews.example.com/city/cycle-lanes');
+    expect(article.image).toBe('https://localnews.example.com/media/cycle-lanes.jpg');
+  });
+
+  test('teasers and paywalls: reports no content', () => {
+    const article = extract('teaser.html', 'https://paper.example.com/markets');
+
+    expect(article.content).toBeNull();
+    expect(article.author).toBeNull();
+    expect(article.image).toBe('https://paper.example.com/og/default.png');
+  });
+
+  test('rules apply to subdomains and skip listed domains', () => {
+    expect(getDomainRules('https://www.bbc.co.uk/news/1').contentSelector).toBe('article [data-component="text-block"]');
+    expect(getDomainRules('https://www.nytimes.com/2024/01/01/world/story.html').skip).toBe(true);
+    expect(getDomainRules('https://example.com/')).toEqual({});
+    expect(getDomainRules('not a url')).toEqual({});
+  });
+});
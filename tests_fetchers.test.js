@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/services/fetchers/http', () => ({ fetchIfModified: jest.fn() }));
+
+const { fetchIfModified } = require('../src/services/fetchers/http');
+const { getFetcher, resolveFetcher } = require('../src/services/fetchers');
+const { buildNewsItem, mapCategory } = require('../src/services/fetchers/normalize');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures/feeds', name), 'utf8');
+
+// Answer the adapter's request with a recorded feed
+const respondWith = (data) => {
+  fetchIfModified.mockResolvedValueOnce({
+    status: 200,
+    notModified: false,
+    data,
+    validators: { etag: '"v1"', lastModified: null }
+  });
+};
+
+describe('fetcher adapters', () => {
+  beforeEach(() => fetchIfModified.mockReset());
+
+  test('rss: normalizes items, images and tracked URLs', async () => {
+    respondWith(fixture('rss.xml'));
+    const source = { name: 'BBC', type: 'rss', language: 'en' };
+
+    const result = await getFetcher('rss').fetchFeed('https://feeds.bbci.co.uk/news/technology/rss.xml', 'tech', source, null);
+
+    expect(result.status).toBe(200);
+    expect(result.validators.etag).toBe('"v1"');
+    expect(result.items).toHaveLength(2);
+
+    const [chips, broadband] = result.items;
+    expect(chips).toMatchObject({
+      title: 'Chip makers race to meet demand for AI servers',
+      summary: 'Manufacturers say orders for data centre processors have doubled this year.',
+      source: 'BBC',
+      url: 'https://www.bbc.co.uk/news/technology-68000001',
+      category: 'technology',
+      language: 'en',
+      image: 'https://ichef.bbci.co.uk/news/68000001.jpg'
+    });
+    expect(chips.publishedAt.toISOString()).toBe('2024-01-09T10:15:00.000Z');
+    expect(chips.sourceHash).toMatch(/^[a-f0-9]{32}$/);
+    expect(broadband.image).toBe('https://ichef.bbci.co.uk/news/68000002.jpg');
+  });
+
+  test('atom: reads summaries, links and dates from entries', async () => {
+    respondWith(fixture('atom.xml'));
+    const source = { name: 'Science Daily', type: 'rss', adapter: 'atom' };
+
+    const { items } = await getFetcher('atom').fetchFeed('https://science.example.org/atom.xml', 'sci', source, null);
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      title: 'Telescope spots water vapour around a distant exoplanet',
+      url: 'https://science.example.org/2024/01/exoplanet-water',
+      category: 'science'
+    });
+    expect(items[0].publishedAt.toISOString()).toBe('2024-01-09T11:00:00.000Z');
+    expect(items[1].url).toBe('https://science.example.org/2024/01/ocean-heat');
+    expect(items[1].summary).not.toMatch(/<p>/);
+  });
+
+  test('jsonfeed: falls back to external URLs, modified dates and banner images', async () => {
+    respondWith(JSON.parse(fixture('jsonfeed.json')));
+    const source = { name: 'Health Weekly', type: 'rss', adapter: 'jsonfeed' };
+
+    const { items } = await getFetcher('jsonfeed').fetchFeed('https://health.example.com/feed.json', 'health', source, null);
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      title: 'Flu cases rise as winter season peaks early',
+      summary: 'Hospital admissions for flu have risen for the third week in a row.',
+      image: 'https://health.example.com/images/flu.jpg'
+    });
+    expect(items[1]).toMatchObject({
+      url: 'https://partner.example.net/sleep-study',
+      image: 'https://partner.example.net/banner.png'
+    });
+    expect(items[1].publishedAt.toISOString()).toBe('2024-01-08T18:00:00.000Z');
+  });
+
+  test('guardian: maps content API results and sends the API key', async () => {
+    respondWith(JSON.parse(fixture('guardian.json')));
+    const source = { name: 'The Guardian', type: 'api', apiKey: 'test-key' };
+
+    const { items } = await getFetcher('guardian').fetchFeed('https://content.guardianapis.com/politics', 'politics', source, null);
+
+    expect(fetchIfModified.mock.calls[0][1].params['api-key']).toBe('test-key');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      title: 'Ministers announce plan to build 300,000 homes a year',
+      summary: 'Housing secretary says planning rules will be relaxed for brownfield sites',
+      category: 'politics',
+      image: 'https://media.guim.co.uk/housing/500.jpg'
+    });
+    expect(items[1].summary).toMatch(/^MPs spent the afternoon debating/);
+    expect(items[1].image).toBeNull();
+  });
+
+  test('guardian: skips sources without an API key', async () => {
+    const result = await getFetcher('guardian').fetch({ name: 'The Guardian', type: 'api', urls: {} });
+
+    expect(result).toEqual([]);
+    expect(fetchIfModified).not.toHaveBeenCalled();
+  });
+
+  test('not modified feeds return no items', async () => {
+    fetchIfModified.mockResolvedValueOnce({ status: 304, notModified: true, data: '', validators: {} });
+
+    const result = await getFetcher('rss').fetchFeed('https://feeds.bbci.co.uk/news/rss.xml', 'general', { name: 'BBC' }, { etag: '"v1"' });
+
+    expect(result.items).toEqual([]);
+  });
+});
+
+describe('resolveFetcher', () => {
+  test('uses the adapter, then the default for the type', () => {
+    expect(resolveFetcher({ type: 'rss', adapter: 'atom' }).name).toBe('atom');
+    expect(resolveFetcher({ type: 'rss', adapter: null }).name).toBe('rss');
+    expect(resolveFetcher({ type: 'api' }).name).toBe('guardian');
+  });
+
+  test('returns null for unknown adapters', () => {
+    expect(resolveFetcher({ type: 'rss', adapter: 'nope' })).toBeNull();
+  });
+});
+
+describe('normalize', () => {
+  test('maps feed categories onto the schema enum', () => {
+    expect(mapCategory('tech')).toBe('technology');
+    expect(mapCategory('sport')).toBe('sports');
+    expect(mapCategory('world')).toBe('world');
+    expect(mapCategory('culture')).toBe('general');
+  });
+
+  test('rejects items that are too short or undated', () => {
+    const source = { name: 'BBC' };
+    const base = {
+      title: 'A perfectly ordinary headline',
+      summary: 'A summary long enough to be kept as an article.',
+      url: 'https://example.com/a',
+      publishedAt: '2024-01-09T10:00:00Z'
+    };
+
+    expect(buildNewsItem(base, source, 'general')).not.toBeNull();
+    expect(buildNewsItem({ ...base, title: 'Short' }, source, 'general')).toBeNull();
+    expect(buildNewsItem({ ...base, publishedAt: 'not a date' }, source, 'general')).toBeNull();
+  });
+
+  test('hashes the same article identically whatever its tracking parameters', () => {
+    const source = { name: 'BBC' };
+    const item = {
+      title: 'A perfectly ordinary headline',
+      summary: 'A summary long enough to be kept as an article.',
+      publishedAt: '2024-01-09T10:00:00Z'
+    };
+
+    const plain = buildNewsItem({ ...item, url: 'https://example.com/a' }, source, 'general');
+    const tracked = buildNewsItem({ ...item, url: 'https://example.com/a?utm_source=twitter&fbclid=1' }, source, 'general');
+
+    expect(tracked.sourceHash).toBe(plain.sourceHash);
+  });
+});
@@ -0,0 +1,90 @@
+const { detectLanguage, textSearchLanguage, segmentForSearch } = require('../src/utils/language');
+const { segmentWords, needsSegmentation, tokenize, contentTokens } = require('../src/utils/text');
+const { parseSearchQuery, buildTextSearch, buildHighlights } = require('../src/utils/searchQuery');
+const News = require('../src/models/News');
+
+describe('language detection', () => {
+  test('scripts identify their language', () => {
+    expect(detectLanguage('รัฐบาลประกาศมาตรการใหม่เพื่อกระตุ้นเศรษฐกิจ')).toBe('th');
+    expect(detectLanguage('東京で新しい駅が開業しました')).toBe('ja');
+    expect(detectLanguage('Правительство объявило новые меры')).toBe('ru');
+  });
+
+  test('Thai text quoting English names is still Thai', () => {
+    expect(detectLanguage('Apple เปิดตัว iPhone รุ่นใหม่ในประเทศไทย')).toBe('th');
+  });
+
+  test('Latin-script text is told apart by function words', () => {
+    expect(detectLanguage('The government says it will cut taxes')).toBe('en');
+    expect(detectLanguage('Le gouvernement a annoncé des mesures pour la ville')).toBe('fr');
+    expect(detectLanguage('Der Bundestag hat das Gesetz für die Rente beschlossen')).toBe('de');
+  });
+
+  test('falls back to the source language when the text says too little', () => {
+    expect(detectLanguage('Breaking: Apple', 'th')).toBe('th');
+    expect(detectLanguage('', 'fr')).toBe('fr');
+    expect(detectLanguage('2024 - 10:30', 'de')).toBe('de');
+    // Spanish and French share "de" and "la"; the tie goes to the source
+    expect(detectLanguage('de la casa', 'es')).toBe('es');
+  });
+
+  test('maps languages to MongoDB text search languages', () => {
+    expect(textSearchLanguage('en')).toBe('english');
+    expect(textSearchLanguage('fr')).toBe('french');
+    expect(textSearchLanguage('th')).toBe('none');
+    expect(textSearchLanguage(undefined)).toBe('none');
+  });
+});
+
+describe('Thai segmentation', () => {
+  test('splits unspaced Thai into words', () => {
+    expect(needsSegmentation('เศรษฐกิจไทย')).toBe(true);
+    expect(needsSegmentation('Thai economy')).toBe(false);
+    expect(segmentWords('รัฐบาลประกาศมาตรการใหม่เพื่อกระตุ้นเศรษฐกิจ'))
+      .toEqual(['รัฐบาล', 'ประกาศ', 'มาตรการ', 'ใหม่', 'เพื่อ', 'กระตุ้น', 'เศรษฐกิจ']);
+  });
+
+  test('tokenizes mixed Thai and English text', () => {
+    expect(tokenize('ธนาคารแห่งประเทศไทย คงอัตราดอกเบี้ย AI'))
+      .toEqual(['ธนาคาร', 'แห่ง', 'ประเทศไทย', 'คง', 'อัตรา', 'ดอกเบี้ย', 'ai']);
+  });
+
+  test('drops Thai stop words from content tokens', () => {
+    expect(contentTokens('รัฐบาลประกาศมาตรการใหม่เพื่อกระตุ้นเศรษฐกิจ'))
+      .toEqual(['รัฐบาล', 'ประกาศ', 'มาตรการ', 'ใหม่', 'กระตุ้น', 'เศรษฐกิจ']);
+  });
+
+  test('segments text for the text index only when it needs it', () => {
+    expect(segmentForSearch('นายกรัฐมนตรีเดินทางเยือนญี่ปุ่น')).toBe('นายก รัฐมนตรี เดิน ทาง เยือน ญี่ปุ่น');
+    expect(segmentForSearch('Plain English')).toBeNull();
+  });
+
+  test('segments Thai search queries like the indexed text', () => {
+    expect(parseSearchQuery('เศรษฐกิจไทย "ธนาคารกลาง" -การเมือง')).toEqual({
+      terms: ['เศรษฐกิจไทย'],
+      phrases: ['ธนาคารกลาง'],
+      excluded: ['การเมือง']
+    });
+    expect(buildTextSearch('เศรษฐกิจไทย "ธนาคารกลาง" -การเมือง inflation')).toEqual({
+      $search: 'เศรษฐกิจ ไทย inflation "ธนาคาร กลาง" -"การเมือง"',
+      $language: 'none'
+    });
+    expect(buildTextSearch('inflation -politics')).toEqual({ $search: 'inflation -politics' });
+  });
+
+  test('highlights Thai terms inside unspaced text', () => {
+    const highlights = buildHighlights(
+      { title: 'รัฐบาลไทยประกาศกระตุ้นเศรษฐกิจ', summary: 'ตลาดหุ้นปรับตัวขึ้น' },
+      parseSearchQuery('เศรษฐกิจ')
+    );
+    expect(highlights).toEqual({ title: 'รัฐบาลไทยประกาศกระตุ้น<mark>เศรษฐกิจ</mark>' });
+  });
+});
+
+describe('text index', () => {
+  test('indexes the segmented text without overriding on language', () => {
+    const [fields, options] = News.schema.indexes().find(([, indexOptions]) => indexOptions.name === 'news_text_search');
+    expect(Object.keys(fields)).toEqual(expect.arrayContaining(['segmentedText.title', 'segmentedText.summary']));
+    expect(options.language_override).toBe('textSearchLanguage');
+  });
+});
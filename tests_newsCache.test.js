@@ -0,0 +1,85 @@
+// Runs against a Redis server: REDIS_URL=redis://localhost:6379 npm test
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+// Keys of this run stay apart from anything else in the database
+process.env.REDIS_KEY_PREFIX = `newsapp-test-${process.pid}:`;
+
+const { connectRedis, closeRedis } = require('../src/config/redis');
+const newsCache = require('../src/services/newsCache');
+const News = require('../src/models/News');
+
+const story = (id, minutesAgo) => ({
+  _id: `65a1f0c2e4b0a1b2c3d4e5${id}`,
+  title: `Story ${id}`,
+  category: 'technology',
+  isActive: true,
+  publishedAt: new Date(Date.now() - minutesAgo * 60000)
+});
+
+describeWithRedis('news cache rebuilds', () => {
+  let articles;
+  let duringRead;
+  let find;
+
+  const cachedTitles = async () => (await newsCache.getPage(null, 0, 10)).map(news => news.title);
+
+  beforeAll(() => connectRedis());
+
+  beforeEach(async () => {
+    await newsCache.clear();
+    articles = [story('f1', 1), story('f2', 2)];
+    duringRead = null;
+
+    // Stands in for Mongo: each read sees the articles as they are when it
+    // starts, then runs duringRead before returning, as a concurrent write would
+    find = jest.spyOn(News, 'find').mockImplementation(() => {
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        lean: async () => {
+          const docs = articles.filter(article => article.isActive).map(article => ({ ...article }));
+          const change = duringRead;
+          duringRead = null;
+          if (change) await change();
+          return docs;
+        }
+      };
+      return query;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(async () => {
+    await newsCache.clear();
+    await closeRedis();
+  });
+
+  test('an article deactivated while the listing is rebuilt stays out of it', async () => {
+    duringRead = async () => {
+      articles[0].isActive = false;
+      await newsCache.invalidateArticles([articles[0]]);
+    };
+
+    await newsCache.rebuildIndex(null);
+
+    expect(find).toHaveBeenCalledTimes(2);
+    expect(await cachedTitles()).toEqual(['Story f2']);
+  });
+
+  test('an article saved while the listing is rebuilt is kept', async () => {
+    await newsCache.rebuildIndex(null);
+    find.mockClear();
+
+    const saved = story('f3', 0);
+    duringRead = async () => {
+      articles.push(saved);
+      await newsCache.addArticle(saved);
+    };
+
+    await newsCache.rebuildIndex(null);
+
+    expect(find).toHaveBeenCalledTimes(2);
+    expect(await cachedTitles()).toEqual(['Story f3', 'Story f1', 'Story f2']);
+  });
+});
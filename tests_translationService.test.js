@@ -0,0 +1,97 @@
+const translationService = require('../src/services/translationService');
+const { getTranslationProvider, registerTranslationProvider, listTranslationProviders } = require('../src/services/translation');
+const News = require('../src/models/News');
+
+const article = (title, language = 'en') => ({
+  title,
+  summary: `Summary of ${title}`,
+  language,
+  url: `https://example.com/${encodeURIComponent(title)}`
+});
+
+describe('translation service', () => {
+  const defaults = { ...translationService };
+
+  beforeEach(() => {
+    translationService.providerName = 'stub';
+  });
+
+  afterEach(() => {
+    Object.assign(translationService, defaults);
+    jest.restoreAllMocks();
+  });
+
+  test('is off unless a provider is configured', async () => {
+    translationService.providerName = 'none';
+    const items = [article('Markets rally')];
+
+    expect(await translationService.translateAll(items)).toBe(items);
+  });
+
+  test('adds Thai titles and summaries with the stub provider', async () => {
+    const [translated] = await translationService.translateAll([article('Markets rally')]);
+
+    expect(translated).toMatchObject({
+      title: 'Markets rally',
+      title_th: '[en->th] Markets rally',
+      summary_th: '[en->th] Summary of Markets rally'
+    });
+  });
+
+  test('leaves Thai articles alone and batches the rest by language', async () => {
+    const translate = jest.spyOn(getTranslationProvider('stub'), 'translate');
+    translationService.batchSize = 2;
+
+    const thai = article('ตลาดหุ้นปรับตัวขึ้น', 'th');
+    const result = await translationService.translateAll([
+      article('One'), thai, article('Un', 'fr'), article('Two'), article('Three')
+    ]);
+
+    expect(translate.mock.calls.map(([texts, { from, to }]) => [from, to, texts.length])).toEqual([
+      ['en', 'th', 4],
+      ['en', 'th', 2],
+      ['fr', 'th', 2]
+    ]);
+    expect(result[1]).toBe(thai);
+    expect(result.map(item => item.title_th)).toEqual([
+      '[en->th] One', undefined, '[fr->th] Un', '[en->th] Two', '[en->th] Three'
+    ]);
+  });
+
+  test('fits translations into the article fields', async () => {
+    const maxLength = News.schema.path('title').options.maxlength;
+    jest.spyOn(getTranslationProvider('stub'), 'translate')
+      .mockImplementation(async texts => texts.map(() => `ข่าว ${'ยาว '.repeat(maxLength)}`));
+
+    const [translated] = await translationService.translateAll([article('Long')]);
+
+    expect(translated.title_th.length).toBeLessThanOrEqual(maxLength);
+    expect(translated.title_th.endsWith('…')).toBe(true);
+  });
+
+  test('saves a batch untranslated when the provider fails, times out or miscounts', async () => {
+    const translate = jest.spyOn(getTranslationProvider('stub'), 'translate');
+    translationService.timeoutMs = 20;
+
+    translate.mockRejectedValueOnce(new Error('quota exceeded'));
+    translate.mockImplementationOnce(() => new Promise(() => {}));
+    translate.mockResolvedValueOnce(['only one']);
+
+    for (let i = 0; i < 3; i++) {
+      const [item] = await translationService.translateAll([article('Markets rally')]);
+      expect(item.title_th).toBeUndefined();
+    }
+  });
+
+  test('saves articles untranslated with an unknown provider', async () => {
+    translationService.providerName = 'missing';
+    const items = [article('Markets rally')];
+
+    expect(await translationService.translateAll(items)).toBe(items);
+  });
+
+  test('providers need a name and a translate method', () => {
+    expect(() => registerTranslationProvider({ name: 'broken' })).toThrow(/translate/);
+    expect(listTranslationProviders()).toContain('stub');
+  });
+});
@@ -0,0 +1,179 @@
+const http = require('http');
+
+// Two in-process servers sharing one Redis, as two instances behind a load
+// balancer would. Needs a Redis server: REDIS_URL=redis://localhost:6379 npm test
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+process.env.API_AUTH_REQUIRED = 'false';
+// Keys of this run stay apart from anything else in the database
+process.env.REDIS_KEY_PREFIX = `newsapp-test-${process.pid}:`;
+
+const waitUntil = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// Each server gets its own copy of the modules, like a separate process
+const startServer = async () => {
+  const instance = {};
+  jest.isolateModules(() => {
+    instance.redis = require('../src/config/redis');
+    instance.socketHandler = require('../src/websocket/socketHandler');
+    instance.sseHandler = require('../src/websocket/sseHandler');
+  });
+
+  await instance.redis.connectRedis();
+  instance.server = http.createServer((req, res) => instance.sseHandler.openStream(req, res));
+  instance.io = instance.socketHandler.initializeSocket(instance.server);
+  await new Promise(resolve => instance.server.listen(0, '127.0.0.1', resolve));
+  instance.url = `http://127.0.0.1:${instance.server.address().port}`;
+
+  // Broadcasts only cross instances once the Redis adapter is in place
+  await waitUntil(() => instance.io.of('/').adapter.constructor.name === 'RedisAdapter');
+  return instance;
+};
+
+const stopServer = async (instance) => {
+  instance.sseHandler.closeStreams();
+  await instance.socketHandler.closeSocket();
+  await instance.redis.closeRedis();
+};
+
+// Minimal text/event-stream reader: resolves events by name as they arrive
+const openEventStream = url => new Promise((resolve, reject) => {
+  const events = [];
+  const waiters = [];
+
+  const request = http.get(url, (res) => {
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const event = { event: null, data: null };
+        block.split('\n').forEach((line) => {
+          if (line.startsWith('event: ')) event.event = line.slice(7);
+          if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+        });
+        if (!event.event) continue;
+
+        events.push(event);
+        waiters.filter(waiter => waiter.name === event.event).forEach(waiter => waiter.resolve(event.data));
+      }
+    });
+
+    resolve({
+      next: name => new Promise((resolveEvent) => {
+        const seen = events.find(event => event.event === name);
+        if (seen) return resolveEvent(seen.data);
+        waiters.push({ name, resolve: resolveEvent });
+      }),
+      close: () => request.destroy()
+    });
+  });
+  request.on('error', reject);
+});
+
+const nextEvent = (socket, name) => new Promise(resolve => socket.once(name, resolve));
+
+const article = {
+  _id: '65a1f0c2e4b0a1b2c3d4e5f6',
+  title: 'Chip makers race to meet demand for AI servers',
+  summary: 'Manufacturers say orders for data centre processors have doubled this year.',
+  source: 'BBC',
+  category: 'technology',
+  language: 'en',
+  url: 'https://www.bbc.co.uk/news/technology-68000001',
+  publishedAt: new Date().toISOString()
+};
+
+describeWithRedis('news fan-out across instances', () => {
+  jest.setTimeout(20000);
+
+  let connectClient;
+  let serverA;
+  let serverB;
+  let socket;
+  let stream;
+
+  beforeAll(async () => {
+    // Loaded here so the suite is skipped, not broken, without Redis
+    ({ io: connectClient } = require('socket.io-client'));
+    serverA = await startServer();
+    serverB = await startServer();
+  });
+
+  afterAll(async () => {
+    if (socket) socket.disconnect();
+    if (stream) stream.close();
+
+    // Remove this run's keys while a connection is still open
+    const running = serverA || serverB;
+    const redis = running && running.redis.getRedisClient();
+    if (redis) {
+      const keys = [];
+      for await (const key of redis.scanIterator({ MATCH: `${running.redis.keyPrefix}*` })) keys.push(key);
+      if (keys.length > 0) await redis.del(keys);
+    }
+
+    await Promise.all([serverA, serverB].filter(Boolean).map(stopServer));
+  });
+
+  test('news published on one server reaches socket and SSE clients of the other', async () => {
+    socket = connectClient(serverB.url, { transports: ['websocket'], reconnection: false });
+    await nextEvent(socket, 'news:connected');
+    const subscribed = await socket.emitWithAck('news:subscribe', { categories: ['technology'] });
+    expect(subscribed.success).toBe(true);
+
+    stream = await openEventStream(`${serverB.url}/api/news/stream`);
+    await stream.next('news:connected');
+
+    const update = nextEvent(socket, 'news:update');
+    const categoryUpdate = nextEvent(socket, 'news:category_update');
+    const streamed = stream.next('news:update');
+
+    await serverA.socketHandler.broadcastNews([article]);
+
+    const [updatePayload, categoryPayload, streamedPayload] = await Promise.all([update, categoryUpdate, streamed]);
+
+    expect(updatePayload.eventId).toMatch(/^\d+-\d+$/);
+    expect(updatePayload.data.map(news => news.title)).toEqual([article.title]);
+
+    expect(categoryPayload).toMatchObject({
+      eventId: updatePayload.eventId,
+      subscriptionIds: [subscribed.subscription.id],
+      category: 'technology'
+    });
+    expect(categoryPayload.data.url).toBe(article.url);
+
+    expect(streamedPayload).toMatchObject({ eventId: updatePayload.eventId, count: 1 });
+    expect(streamedPayload.data[0].title).toBe(article.title);
+  });
+
+  test('a shutdown notice only reaches the clients of the server going away', async () => {
+    const clientOfA = connectClient(serverA.url, { transports: ['websocket'], reconnection: false });
+    await nextEvent(clientOfA, 'news:connected');
+
+    const noticesOnB = [];
+    socket.on('server:shutdown', notice => noticesOnB.push(notice));
+
+    const notice = nextEvent(clientOfA, 'server:shutdown');
+    const stopping = serverA;
+    serverA = null;
+    await stopServer(stopping);
+
+    expect((await notice).message).toMatch(/shutting down/);
+    // Leave time for anything published through Redis to arrive
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect(noticesOnB).toEqual([]);
+    expect(socket.connected).toBe(true);
+    clientOfA.disconnect();
+  });
+});
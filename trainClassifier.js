@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+const { connectDatabase, closeDatabase, isDatabaseConnected } = require('./src/config/database');
+const categoryClassifier = require('./src/services/categoryClassifier');
+const { logger } = require('./src/utils/logger');
+
+// Offline training of the category model: node trainClassifier.js [days] [limit]
+// Running instances pick up the new model within CLASSIFIER_RELOAD_MS.
+const train = async () => {
+  const days = parseInt(process.argv[2], 10) || 90;
+  const limit = parseInt(process.argv[3], 10) || 20000;
+
+  await connectDatabase();
+  if (!isDatabaseConnected()) {
+    logger.error('❌ MongoDB is not reachable, cannot train the category model');
+    process.exit(1);
+  }
+
+  try {
+    const result = await categoryClassifier.train({ days, limit });
+    logger.info(`🏷️ Categories: ${result.categories.join(', ') || 'none (not enough labelled articles)'}`);
+    logger.info(`🏷️ Samples per category: ${JSON.stringify(result.sampleCounts)}`);
+    await closeDatabase();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Category model training failed:', error);
+    await closeDatabase();
+    process.exit(1);
+  }
+};
+
+train();